@@ -0,0 +1,46 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+const CRC32_TABLE = new Uint32Array(256).map((value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+// zlib-style CRC-32 with the same update()/digest('hex') calls as a crypto Hash
+function createCrc32() {
+  let crc = 0xffffffff;
+  return {
+    update(chunk) {
+      for (let i = 0; i < chunk.length; i++) {
+        crc = CRC32_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+      }
+    },
+    digest() {
+      return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+    }
+  };
+}
+
+// Algorithms are named as servers report them: SHA-256, SHA-1, MD5, CRC32, ...
+function createHash(algorithm) {
+  if (algorithm === 'CRC32') {
+    return createCrc32();
+  }
+  return crypto.createHash(algorithm.replace('-', '').toLowerCase());
+}
+
+// Lowercase hex checksum of a local file
+function hashLocalFile(localPath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash(algorithm);
+    fs.createReadStream(localPath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+module.exports = { hashLocalFile };
\ No newline at end of file
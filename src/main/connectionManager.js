@@ -1,292 +1,846 @@
+const path = require('path');
 const { Client: FTPClient } = require('basic-ftp');
 const { Client: SSHClient } = require('ssh2');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
-const { SpeedLimitManager } = require('./speedLimiter');
+const { pipeline, finished } = require('stream/promises');
+const { SpeedLimiter, SpeedLimitManager } = require('./speedLimiter');
+const { KnownHostsManager } = require('./knownHostsManager');
+const { ProxySocket, connectThroughProxy } = require('./proxyClient');
+const { BUILTIN_DRIVERS } = require('./drivers');
+const { shellQuote } = require('./scpSession');
+const { hashLocalFile } = require('./checksum');
+const { getBlockSize, computeSignatures, signaturesFromChecksums, computeDelta } = require('./delta');
+const { SessionPool } = require('./sessionPool');
+
+// Pause before each attempt to bring back a dropped connection
+const RECONNECT_DELAYS = [1000, 2000, 4000, 8000, 16000];
+// How often one range of a segmented download is fetched again before the download fails
+const SEGMENT_RETRIES = 3;
+// Host key algorithms in OpenSSH's order of preference, before the ones for keys
+// already in known_hosts are moved to the front
+const HOST_KEY_ALGORITHMS = [
+  'ssh-ed25519', 'ecdsa-sha2-nistp256', 'ecdsa-sha2-nistp384', 'ecdsa-sha2-nistp521',
+  'rsa-sha2-512', 'rsa-sha2-256', 'ssh-rsa'
+];
+
+// Build a callback that turns raw byte counts into transfer-progress payloads
+function createProgressReporter(total, speedLimit, progressCallback) {
+  let lastTime = Date.now();
+  let lastTransferred = 0;
+  
+  return (transferred) => {
+    if (!progressCallback) return;
+    
+    const now = Date.now();
+    // Stream chunks arrive far more often than the UI needs updating
+    if (now - lastTime < 250 && transferred < total) return;
+    
+    const timeDiff = (now - lastTime) / 1000; // seconds
+    const speed = timeDiff > 0 ? (transferred - lastTransferred) / timeDiff : 0;
+    
+    progressCallback({
+      percent: total > 0 ? Math.round((transferred / total) * 100) : 0,
+      transferred,
+      total,
+      speed,
+      speedLimit: speedLimit === Infinity ? null : speedLimit
+    });
+    
+    lastTime = now;
+    lastTransferred = transferred;
+  };
+}
+
+// Work out where a resumed transfer should continue from. A partial file
+// larger than the source can't be a prefix of it, so start again.
+function getResumeOffset(partialSize, totalSize) {
+  if (partialSize > 0 && partialSize <= totalSize) {
+    return partialSize;
+  }
+  return 0;
+}
+
+function getLocalFileSize(localPath) {
+  const fs = require('fs');
+  try {
+    return fs.statSync(localPath).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+// Split the bytes from start up to size into count ranges. end is the last byte of a
+// range and position the next one still to fetch.
+function splitRange(start, size, count) {
+  const length = Math.ceil((size - start) / count);
+  const ranges = [];
+  for (let position = start; position < size; position += length) {
+    ranges.push({ start: position, end: Math.min(position + length, size) - 1, position });
+  }
+  return ranges;
+}
+
+// How much of a file downloaded in ranges is there from the start without a gap
+function getContiguousLength(ranges) {
+  const gap = ranges.find(range => range.position <= range.end);
+  return gap ? gap.position : ranges[ranges.length - 1].end + 1;
+}
+
+// Hidden name an atomic upload is written to before it replaces remotePath
+function getTemporaryUploadPath(remotePath) {
+  return path.posix.join(path.posix.dirname(remotePath), `.${path.posix.basename(remotePath)}.part`);
+}
+
+// Destroy a stream when the signal fires; returns a function that detaches the listener
+function attachAbortSignal(signal, stream) {
+  if (!signal) return () => {};
+  
+  const onAbort = () => stream.destroy(new Error('Transfer cancelled'));
+  if (signal.aborted) {
+    onAbort();
+    return () => {};
+  }
+  
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+// Lets the transfer registry pause work that isn't a stream, such as a recursive
+// delete, between steps; wait() resolves once released or aborted
+function createPauseGate(signal) {
+  let paused = false;
+  let waiters = [];
+  const release = () => {
+    paused = false;
+    waiters.forEach(resolve => resolve());
+    waiters = [];
+  };
+  if (signal) {
+    signal.addEventListener('abort', release, { once: true });
+  }
+  
+  return {
+    hold: () => {
+      paused = true;
+    },
+    release,
+    wait: () => (paused && !(signal && signal.aborted) ? new Promise(resolve => waiters.push(resolve)) : Promise.resolve())
+  };
+}
+
+// Several streams that the transfer registry pauses and releases as one, for a download
+// fetched in ranges; streams added while the group is held start out held
+function createStreamGroup() {
+  const streams = new Set();
+  let held = false;
+  
+  return {
+    add: (stream) => {
+      streams.add(stream);
+      stream.once('close', () => streams.delete(stream));
+      if (held) {
+        stream.hold();
+      }
+    },
+    hold: () => {
+      held = true;
+      streams.forEach(stream => stream.hold());
+    },
+    release: () => {
+      held = false;
+      streams.forEach(stream => stream.release());
+    }
+  };
+}
+
+// Tells the drivers a transfer runs on while the limiter it passes through is held
+function holdDriversWith(limiter, drivers) {
+  limiter.on('hold', () => drivers.forEach(driver => driver.holdTransfer()));
+  limiter.on('release', () => drivers.forEach(driver => driver.releaseTransfer()));
+}
+
+// pipeline() can settle before every stream has closed, but a driver's stream only
+// closes once the server has confirmed or given up the transfer, and until then the
+// session is still busy with it
+async function transferPipeline(...streams) {
+  try {
+    await pipeline(...streams);
+  } finally {
+    await Promise.all(streams.map(stream => finished(stream).catch(() => {})));
+  }
+}
 
 class ConnectionManager {
-  constructor() {
+  constructor(options = {}) {
     this.connections = new Map();
     this.speedLimitManager = new SpeedLimitManager();
+    this.knownHosts = options.knownHosts || new KnownHostsManager();
+    // Without a way to ask the user, unknown host keys are refused
+    this.confirmHostKey = options.confirmHostKey || (async () => false);
+    // Resolves with the user's answers to keyboard-interactive prompts, or null if cancelled
+    this.promptKeyboardInteractive = options.promptKeyboardInteractive || (async () => null);
+    // Called with (connectionId, state, detail) as a dropped connection is brought back:
+    // 'reconnecting' for each attempt, then 'connected' or 'disconnected'
+    this.onConnectionState = options.onConnectionState || (() => {});
+    // Protocol name -> driver class, see registerDriver()
+    this.drivers = new Map();
+    Object.entries(BUILTIN_DRIVERS).forEach(([protocol, Driver]) => this.registerDriver(protocol, Driver));
+  }
+
+  // Make a protocol available to connect(). Driver is a ProtocolDriver subclass (see
+  // drivers/protocolDriver.js) whose static connect(config, manager) opens a session;
+  // registering a protocol again replaces its driver.
+  registerDriver(protocol, Driver) {
+    if (!Driver || typeof Driver.connect !== 'function') {
+      throw new Error(`Driver for ${protocol} has no connect()`);
+    }
+    this.drivers.set(protocol, Driver);
+  }
+
+  getProtocols() {
+    return Array.from(this.drivers.keys());
+  }
+
+  getConnection(connectionId) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      throw new Error('Connection not found');
+    }
+    return connection;
+  }
+
+  // For operations on the server. Waits for a reconnect in progress, and tries
+  // once more to bring back a connection that was given up on.
+  async useConnection(connectionId) {
+    const connection = this.getConnection(connectionId);
+    if (connection.reconnecting) {
+      await connection.reconnecting;
+    } else if (connection.lost) {
+      if (connection.config.autoReconnect === false) {
+        throw new Error(`Connection to ${connection.config.host} was lost`);
+      }
+      await this.reconnect(connection);
+    }
+    return connection;
+  }
+
+  // Whether the connection dropped and hasn't been brought back yet, which is why
+  // an operation on it just failed
+  isInterrupted(connectionId) {
+    const connection = this.connections.get(connectionId);
+    return Boolean(connection && (connection.reconnecting || connection.lost));
   }
 
   async connect(config) {
+    const driver = await this.openDriver(config);
     const connectionId = uuidv4();
+    const connection = {
+      id: connectionId,
+      // SFTP sessions can fall back to SCP, so the driver names the actual protocol
+      type: driver.type,
+      driver,
+      config,
+      // Extra sessions that transfers run on, see withWorker()
+      pool: new SessionPool(driver),
+      // The pending reconnect() while one runs, and whether the last one failed
+      reconnecting: null,
+      lost: false
+    };
+    this.connections.set(connectionId, connection);
+    this.watchConnection(connection);
+    
+    return { id: connectionId };
+  }
+
+  async openDriver(config) {
+    const Driver = this.drivers.get(config.protocol);
+    if (!Driver) {
+      throw new Error(`Unsupported protocol: ${config.protocol}`);
+    }
+    return Driver.connect(config, this);
+  }
+
+  // Bring the connection back when its session drops without disconnect() being called
+  watchConnection(connection) {
+    const driver = connection.driver;
+    driver.onDisconnect((error) => {
+      if (this.connections.get(connection.id) !== connection || connection.driver !== driver) return;
+      
+      console.warn(`Connection to ${connection.config.host} dropped${error ? `: ${error.message}` : ''}`);
+      connection.pool.close();
+      driver.close();
+      if (connection.config.autoReconnect === false) {
+        connection.lost = true;
+        this.onConnectionState(connection.id, 'disconnected', { error: error ? error.message : 'Connection closed' });
+        return;
+      }
+      this.reconnect(connection).catch(() => {});
+    });
+  }
+
+  // Log in again with the stored config and swap the new session in under the same
+  // id, so tabs and queued transfers carry on where they were
+  reconnect(connection) {
+    if (!connection.reconnecting) {
+      connection.reconnecting = this.retryConnect(connection).finally(() => {
+        connection.reconnecting = null;
+      });
+    }
+    return connection.reconnecting;
+  }
+
+  async retryConnect(connection) {
+    const config = connection.config;
+    let lastError = null;
     
-    if (config.protocol === 'ftp' || config.protocol === 'ftps') {
-      const client = new FTPClient();
-      client.ftp.verbose = true;
+    for (let attempt = 1; attempt <= RECONNECT_DELAYS.length; attempt++) {
+      this.onConnectionState(connection.id, 'reconnecting', { attempt, attempts: RECONNECT_DELAYS.length });
+      await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAYS[attempt - 1]));
+      if (this.connections.get(connection.id) !== connection) {
+        throw new Error('Connection closed');
+      }
       
+      let driver;
       try {
-        await client.access({
-          host: config.host,
-          port: config.port || 21,
-          user: config.username,
-          password: config.password,
-          secure: config.protocol === 'ftps'
-        });
-        
-        this.connections.set(connectionId, {
-          id: connectionId,
-          type: 'ftp',
-          client,
-          config
-        });
-        
-        return { id: connectionId };
+        driver = await this.openDriver(config);
       } catch (error) {
-        throw new Error(`FTP connection failed: ${error.message}`);
+        console.warn(`Reconnect attempt ${attempt} to ${config.host} failed:`, error.message);
+        lastError = error;
+        continue;
       }
-    } else if (config.protocol === 'sftp') {
-      const sshClient = new SSHClient();
       
-      return new Promise((resolve, reject) => {
-        let hasConnected = false;
-        
-        sshClient.on('ready', () => {
-          hasConnected = true;
-          console.log('SSH connection established');
-          sshClient.sftp((err, sftp) => {
-            if (err) {
-              reject(new Error(`SFTP session failed: ${err.message}`));
-              return;
-            }
-            
-            this.connections.set(connectionId, {
-              id: connectionId,
-              type: 'sftp',
-              client: sshClient,
-              sftp,
-              config
-            });
-            
-            resolve({ id: connectionId });
-          });
-        });
-        
-        // Add debug event
-        sshClient.on('debug', (info) => {
-          console.log('SSH2 Debug:', info);
-        });
-        
-        sshClient.on('error', (err) => {
-          console.error('SSH Error:', err);
-          if (!hasConnected) {
-            reject(new Error(`SSH connection failed: ${err.message}`));
-          }
-        });
-        
-        sshClient.on('close', () => {
-          if (!hasConnected) {
-            reject(new Error('SSH connection closed before authentication'));
+      // Disconnected by the user while logging in
+      if (this.connections.get(connection.id) !== connection) {
+        driver.close();
+        throw new Error('Connection closed');
+      }
+      
+      connection.driver = driver;
+      connection.type = driver.type;
+      connection.pool = new SessionPool(driver);
+      connection.lost = false;
+      this.watchConnection(connection);
+      console.log(`Reconnected to ${config.host}`);
+      this.onConnectionState(connection.id, 'connected', { attempt });
+      return connection;
+    }
+    
+    connection.lost = true;
+    this.onConnectionState(connection.id, 'disconnected', { error: lastError.message });
+    throw new Error(`Reconnecting to ${config.host} failed: ${lastError.message}`);
+  }
+
+  // Open an authenticated SSH client, either directly or over an existing
+  // stream such as a jump host's forwardOut channel
+  async openSshClient(config, sock = null) {
+    const sshClient = new SSHClient();
+    
+    const { hostVerifier, getRejection } = this.knownHosts.createHostVerifier(
+      config.host, config.port || 22, this.confirmHostKey
+    );
+    const serverHostKey = await this.getHostKeyAlgorithms(config);
+    const { onKeyboardInteractive, wasCancelled } = this.createKeyboardInteractiveHandler(config);
+    
+    return new Promise((resolve, reject) => {
+      let hasConnected = false;
+      
+      sshClient.on('ready', () => {
+        hasConnected = true;
+        console.log(`SSH connection established to ${config.host}`);
+        resolve(sshClient);
+      });
+      
+      // Add debug event
+      sshClient.on('debug', (info) => {
+        console.log('SSH2 Debug:', info);
+      });
+      
+      sshClient.on('error', (err) => {
+        console.error('SSH Error:', err);
+        if (!hasConnected) {
+          if (wasCancelled()) {
+            reject(new Error('Authentication cancelled'));
+            return;
           }
-        });
-        
-        const connectConfig = {
-          host: config.host,
-          port: config.port || 22,
-          username: config.username,
-          tryKeyboard: true,
-          readyTimeout: 30000,
-          debug: console.log,
-          algorithms: {
-            serverHostKey: ['rsa-sha2-512', 'rsa-sha2-256', 'ssh-rsa', 'ecdsa-sha2-nistp256', 'ssh-ed25519'],
-            kex: ['ecdh-sha2-nistp256', 'ecdh-sha2-nistp384', 'ecdh-sha2-nistp521', 'diffie-hellman-group-exchange-sha256', 'diffie-hellman-group14-sha256'],
-            cipher: ['aes128-gcm', 'aes256-gcm', 'aes128-ctr', 'aes192-ctr', 'aes256-ctr'],
-            hmac: ['hmac-sha2-256', 'hmac-sha2-512', 'hmac-sha1']
+          reject(new Error(getRejection() || `SSH connection failed: ${err.message}`));
+        }
+      });
+      
+      sshClient.on('close', () => {
+        if (!hasConnected) {
+          reject(new Error('SSH connection closed before authentication'));
+        }
+      });
+      
+      const connectConfig = {
+        host: config.host,
+        port: config.port || 22,
+        username: config.username,
+        tryKeyboard: true,
+        // Covers the handshake and authentication, so leave time for host key and 2FA prompts
+        readyTimeout: 120000,
+        // A session is given up after three unanswered keepalives
+        keepaliveInterval: (config.keepaliveInterval || 0) * 1000,
+        keepaliveCountMax: 3,
+        hostVerifier,
+        debug: console.log,
+        algorithms: {
+          serverHostKey,
+          kex: ['ecdh-sha2-nistp256', 'ecdh-sha2-nistp384', 'ecdh-sha2-nistp521', 'diffie-hellman-group-exchange-sha256', 'diffie-hellman-group14-sha256'],
+          cipher: ['aes128-gcm', 'aes256-gcm', 'aes128-ctr', 'aes192-ctr', 'aes256-ctr'],
+          hmac: ['hmac-sha2-256', 'hmac-sha2-512', 'hmac-sha1']
+        }
+      };
+      
+      if (sock) {
+        connectConfig.sock = sock;
+      }
+      
+      if (config.authType === 'agent') {
+        try {
+          Object.assign(connectConfig, this.getAgentOptions(config));
+          console.log('Using ssh-agent authentication');
+        } catch (err) {
+          reject(err);
+          return;
+        }
+      } else if (config.password) {
+        connectConfig.password = config.password;
+        console.log('Using password authentication');
+      } else if (config.privateKeyPath) {
+        const fs = require('fs');
+        try {
+          connectConfig.privateKey = fs.readFileSync(config.privateKeyPath);
+          if (config.passphrase) {
+            connectConfig.passphrase = config.passphrase;
           }
-        };
+        } catch (err) {
+          reject(new Error(`Failed to read private key: ${err.message}`));
+          return;
+        }
+      }
+      
+      sshClient.on('keyboard-interactive', onKeyboardInteractive);
+      
+      sshClient.connect(connectConfig);
+    });
+  }
+
+  // Log in to each of config.jumpHosts in turn, tunnelling every hop through the
+  // previous one. Resolves with a stream to the target and the hop clients, which
+  // the caller must end once the target connection closes. With config.proxy set,
+  // the first hop (or the target) is reached through the proxy.
+  async openJumpChain(config) {
+    const jumpHosts = config.jumpHosts || [];
+    const jumpClients = [];
+    let sock = null;
+    
+    if (config.proxy) {
+      const first = jumpHosts[0] || config;
+      sock = await connectThroughProxy(config.proxy, first.host, first.port || 22);
+    }
+    
+    try {
+      for (let i = 0; i < jumpHosts.length; i++) {
+        const hop = jumpHosts[i];
+        const next = jumpHosts[i + 1] || config;
         
-        if (config.password) {
-          connectConfig.password = config.password;
-          console.log('Using password authentication');
-        } else if (config.privateKeyPath) {
-          const fs = require('fs');
-          try {
-            connectConfig.privateKey = fs.readFileSync(config.privateKeyPath);
-            if (config.passphrase) {
-              connectConfig.passphrase = config.passphrase;
-            }
-          } catch (err) {
-            reject(new Error(`Failed to read private key: ${err.message}`));
-            return;
-          }
+        let hopClient;
+        try {
+          hopClient = await this.openSshClient(hop, sock);
+        } catch (error) {
+          throw new Error(`Jump host ${hop.host}: ${error.message}`);
         }
+        jumpClients.push(hopClient);
         
-        // Handle keyboard-interactive authentication
-        sshClient.on('keyboard-interactive', (name, instructions, instructionsLang, prompts, finish) => {
-          // Auto-respond with password for common password prompts
-          if (config.password && prompts.length > 0) {
-            finish([config.password]);
-          } else {
-            finish([]);
-          }
+        sock = await new Promise((resolve, reject) => {
+          hopClient.forwardOut('127.0.0.1', 0, next.host, next.port || 22, (err, stream) => {
+            if (err) {
+              reject(new Error(`Jump host ${hop.host} could not reach ${next.host}: ${err.message}`));
+            } else {
+              resolve(stream);
+            }
+          });
         });
-        
-        sshClient.connect(connectConfig);
-      });
-    } else {
-      throw new Error(`Unsupported protocol: ${config.protocol}`);
+      }
+    } catch (error) {
+      jumpClients.forEach(client => client.end());
+      throw error;
     }
+    
+    return { sock, jumpClients };
   }
 
-  async disconnect(connectionId) {
-    const connection = this.connections.get(connectionId);
-    if (!connection) {
-      throw new Error('Connection not found');
+  // Open the target SSH client through any configured jump hosts
+  async openSshChain(config) {
+    const { sock, jumpClients } = await this.openJumpChain(config);
+    
+    let sshClient;
+    try {
+      sshClient = await this.openSshClient(config, sock);
+    } catch (error) {
+      jumpClients.forEach(client => client.end());
+      throw error;
     }
     
-    if (connection.type === 'ftp') {
-      connection.client.close();
-    } else if (connection.type === 'sftp') {
-      connection.client.end();
+    // Tear the hops down with the session they carry
+    sshClient.on('close', () => jumpClients.forEach(client => client.end()));
+    return sshClient;
+  }
+
+  // HOST_KEY_ALGORITHMS with those for the keys known_hosts has for the server first
+  async getHostKeyAlgorithms(config) {
+    try {
+      return await this.knownHosts.orderHostKeyAlgorithms(config.host, config.port || 22, HOST_KEY_ALGORITHMS);
+    } catch (error) {
+      // The host verifier reports a known_hosts file that can't be read
+      return HOST_KEY_ALGORITHMS;
+    }
+  }
+
+  // ssh2 options for authenticating with the user's running ssh-agent
+  getAgentOptions(config) {
+    const agent = process.env.SSH_AUTH_SOCK;
+    if (!agent) {
+      throw new Error('SSH agent is not available (SSH_AUTH_SOCK is not set)');
     }
     
+    // With agentForward set, ssh2 requests forwarding on every shell and exec channel
+    return { agent, agentForward: !!config.agentForward };
+  }
+
+  // Build a keyboard-interactive listener for an SSH client. The saved password
+  // answers a lone password prompt once; everything else (OTP codes, Duo, a retry
+  // after a wrong password) is shown to the user.
+  createKeyboardInteractiveHandler(config) {
+    let passwordUsed = false;
+    let cancelled = false;
+    
+    const onKeyboardInteractive = (name, instructions, instructionsLang, prompts, finish) => {
+      // Servers may send an empty round that just needs acknowledging
+      if (prompts.length === 0) {
+        finish([]);
+        return;
+      }
+      
+      const isPasswordPrompt = prompts.length === 1 && !prompts[0].echo && /password/i.test(prompts[0].prompt);
+      if (isPasswordPrompt && config.password && !passwordUsed) {
+        passwordUsed = true;
+        finish([config.password]);
+        return;
+      }
+      
+      this.promptKeyboardInteractive({
+        host: config.host,
+        username: config.username,
+        name,
+        instructions,
+        prompts: prompts.map(p => ({ prompt: p.prompt, echo: !!p.echo }))
+      }).then((answers) => {
+        if (!answers) {
+          cancelled = true;
+          finish([]);
+          return;
+        }
+        finish(answers);
+      }).catch((error) => {
+        console.error('Keyboard-interactive prompt failed:', error);
+        cancelled = true;
+        finish([]);
+      });
+    };
+    
+    return { onKeyboardInteractive, wasCancelled: () => cancelled };
+  }
+
+  async openFtpClient(config) {
+    const client = new FTPClient();
+    client.ftp.verbose = true;
+    
+    if (config.proxy) {
+      await this.routeFtpThroughProxy(client, config);
+    }
+    
+    await client.access({
+      host: config.host,
+      port: config.port || 21,
+      user: config.username,
+      password: config.password,
+      secure: config.protocol === 'ftps'
+    });
+    
+    return client;
+  }
+  
+  // basic-ftp creates every control and data socket through ftp._newSocket(). The
+  // control connection is tunnelled up front so proxy errors surface as they are;
+  // passive data connections tunnel when basic-ftp connects them.
+  async routeFtpThroughProxy(client, config) {
+    let controlSocket = await connectThroughProxy(config.proxy, config.host, config.port || 21);
+    
+    client.ftp._newSocket = () => {
+      if (!controlSocket) {
+        return new ProxySocket(config.proxy);
+      }
+      
+      const socket = controlSocket;
+      controlSocket = null;
+      // Already connected, so basic-ftp's connect() only needs its callback
+      socket.connect = (options, connectListener) => {
+        process.nextTick(connectListener);
+        return socket;
+      };
+      return socket;
+    };
+  }
+  
+  async disconnect(connectionId) {
+    const connection = this.getConnection(connectionId);
+    // Removed first so the closing session isn't taken for a dropped one
     this.connections.delete(connectionId);
+    connection.pool.close();
+    connection.driver.close();
   }
 
   async listDirectory(connectionId, remotePath = '/') {
-    const connection = this.connections.get(connectionId);
-    if (!connection) {
-      throw new Error('Connection not found');
+    const connection = await this.useConnection(connectionId);
+    return connection.driver.list(remotePath);
+  }
+
+  // Run fn(driver) on a session leased from the connection's pool, so transfers don't
+  // queue up behind each other or behind browsing on the main session
+  async withWorker(connection, fn) {
+    const { driver, release } = await connection.pool.lease();
+    try {
+      const result = await fn(driver);
+      release();
+      return result;
+    } catch (error) {
+      release(true);
+      throw error;
+    }
+  }
+
+  async downloadFile(connectionId, remotePath, localPath, progressCallback, options = {}) {
+    const connection = await this.useConnection(connectionId);
+    return this.withWorker(connection, driver => this.runDownload(connection, driver, remotePath, localPath, progressCallback, options));
+  }
+
+  async runDownload(connection, driver, remotePath, localPath, progressCallback, options) {
+    const fs = require('fs');
+    
+    console.log(`Downloading file from ${remotePath} to ${localPath}`);
+    
+    let offset = 0;
+    let total = 0;
+    if (options.resume && driver.capabilities.resume) {
+      total = await this.getRemoteFileSize(driver, remotePath);
+      offset = getResumeOffset(getLocalFileSize(localPath), total);
+      if (offset > 0 && offset === total) {
+        // Some servers reject REST at end of file, and there is nothing left to fetch
+        console.log(`${remotePath} is already fully downloaded`);
+        return options.verify ? this.verifyChecksum(driver, localPath, remotePath) : null;
+      }
+    } else if (options.resume) {
+      console.log(`${connection.type} can't resume, downloading ${remotePath} from the start`);
     }
     
-    if (connection.type === 'ftp') {
-      const list = await connection.client.list(remotePath);
-      return list.map(item => ({
-        name: item.name,
-        type: item.type === 2 ? 'directory' : 'file',
-        size: item.size,
-        modifiedAt: item.modifiedAt,
-        permissions: item.permissions
-      }));
-    } else if (connection.type === 'sftp') {
-      return new Promise((resolve, reject) => {
-        connection.sftp.readdir(remotePath, (err, list) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          
-          resolve(list.map(item => ({
-            name: item.filename,
-            type: item.attrs.isDirectory() ? 'directory' : 'file',
-            size: item.attrs.size,
-            modifiedAt: new Date(item.attrs.mtime * 1000),
-            permissions: item.attrs.mode
-          })));
-        });
-      });
+    if (options.segments > 1 && options.segmentThreshold > 0 && driver.capabilities.rangedReads) {
+      total = total || await this.getRemoteFileSize(driver, remotePath);
+      if (total - offset >= options.segmentThreshold) {
+        const source = await this.runSegmentedDownload(connection, driver, remotePath, localPath, offset, total, progressCallback, options);
+        return this.finishDownload(connection, driver, source, remotePath, localPath, options);
+      }
+    }
+    
+    let source;
+    try {
+      source = await driver.createReadStream(remotePath, { start: offset });
+    } catch (err) {
+      throw new Error(`Download failed: ${err.message}`);
+    }
+    if (source.start !== offset) {
+      console.log(`Server ignored the resume offset, downloading ${remotePath} from the start`);
+      offset = source.start;
+    }
+    
+    const { limiter, detachAbort } = this.createTransferLimiter(connection, 'download', source.size, offset, progressCallback, options, [driver]);
+    
+    if (offset > 0) {
+      console.log(`Resuming download of ${remotePath} at byte ${offset}`);
+    }
+    
+    try {
+      await transferPipeline(
+        source.stream,
+        limiter,
+        fs.createWriteStream(localPath, { flags: offset > 0 ? 'a' : 'w' })
+      );
+      console.log('Download completed successfully');
+    } catch (err) {
+      console.error(`${connection.type} download error:`, err);
+      throw new Error(`Download failed: ${err.message}`);
+    } finally {
+      detachAbort();
     }
+    
+    return this.finishDownload(connection, driver, source, remotePath, localPath, options);
   }
 
-  async downloadFile(connectionId, remotePath, localPath, progressCallback) {
-    const connection = this.connections.get(connectionId);
-    if (!connection) {
-      throw new Error('Connection not found');
+  // Timestamps and checksum once the data of a download is in, source being what the
+  // driver's createReadStream() resolved with
+  async finishDownload(connection, driver, source, remotePath, localPath, options) {
+    const fs = require('fs');
+    
+    // Preserve timestamps if enabled and the protocol reported them
+    if (connection.config.preserveTimestamps && source.mtime) {
+      try {
+        fs.utimesSync(localPath, source.atime || source.mtime, source.mtime);
+        console.log('Timestamps preserved');
+      } catch (tsError) {
+        console.error('Failed to preserve timestamps:', tsError);
+      }
     }
     
-    console.log(`Downloading file from ${remotePath} to ${localPath}`);
+    return options.verify ? this.verifyChecksum(driver, localPath, remotePath) : null;
+  }
+
+  // Fetch the bytes from offset up to size as ranges over several sessions at once,
+  // each written into place in localPath. A range that fails is fetched again from
+  // where it stopped on a fresh session, up to SEGMENT_RETRIES times. If the download
+  // fails anyway, localPath is cut back to what is there without a gap, so resuming
+  // continues from there. Resolves with one range's createReadStream() result.
+  async runSegmentedDownload(connection, driver, remotePath, localPath, offset, size, progressCallback, options) {
+    const fs = require('fs');
     
-    if (connection.type === 'ftp') {
-      await connection.client.downloadTo(localPath, remotePath);
-    } else if (connection.type === 'sftp') {
-      return new Promise((resolve, reject) => {
-        // Get file size first for progress calculation
-        connection.sftp.stat(remotePath, (err, stats) => {
-          if (err) {
-            reject(new Error(`Failed to get file info: ${err.message}`));
-            return;
-          }
-          
-          const fileSize = stats.size;
-          let lastTime = Date.now();
-          let lastTransferred = 0;
-          let startTime = Date.now();
-          let totalTransferred = 0;
-          
-          // Get speed limit for this connection
-          const speedLimit = this.speedLimitManager.getEffectiveLimit(connectionId, 'download');
-          const chunkSize = speedLimit === Infinity ? 65536 : Math.min(65536, speedLimit / 10); // Adjust chunk size based on speed limit
-          
-          // Add options for better error handling and progress
-          const options = {
-            chunkSize: chunkSize,
-            step: (total_transferred, chunk, total) => {
-              totalTransferred = total_transferred;
-              const percent = Math.round((total_transferred / total) * 100);
-              console.log(`Download progress: ${percent}%`);
-              
-              // Speed limiting logic
-              if (speedLimit !== Infinity) {
-                const elapsed = (Date.now() - startTime) / 1000;
-                const expectedBytes = elapsed * speedLimit;
-                
-                if (totalTransferred > expectedBytes) {
-                  // We're going too fast, calculate delay
-                  const excessBytes = totalTransferred - expectedBytes;
-                  const delay = (excessBytes / speedLimit) * 1000;
-                  
-                  // Pause the transfer briefly
-                  return new Promise(resolve => setTimeout(resolve, delay));
-                }
-              }
-              
-              if (progressCallback) {
-                const now = Date.now();
-                const timeDiff = (now - lastTime) / 1000; // seconds
-                const bytesDiff = total_transferred - lastTransferred;
-                const speed = timeDiff > 0 ? bytesDiff / timeDiff : 0;
-                
-                progressCallback({
-                  percent,
-                  transferred: total_transferred,
-                  total: fileSize,
-                  speed,
-                  speedLimit: speedLimit === Infinity ? null : speedLimit
-                });
-                
-                lastTime = now;
-                lastTransferred = total_transferred;
-              }
-            }
-          };
-          
-          connection.sftp.fastGet(remotePath, localPath, options, (err) => {
-            if (err) {
-              console.error('SFTP download error:', err);
-              reject(new Error(`Download failed: ${err.message}`));
-            } else {
-              console.log('Download completed successfully');
-              
-              // Preserve timestamps if enabled
-              if (connection.config.preserveTimestamps) {
-                try {
-                  const fs = require('fs');
-                  // Use the remote file's timestamps
-                  fs.utimesSync(localPath, new Date(stats.atime * 1000), new Date(stats.mtime * 1000));
-                  console.log('Timestamps preserved');
-                } catch (tsError) {
-                  console.error('Failed to preserve timestamps:', tsError);
-                }
-              }
-              
-              resolve();
-            }
-          });
-        });
+    const sessions = await this.openSegmentSessions(driver, options.segments);
+    const ranges = splitRange(offset, size, sessions.length);
+    console.log(`Downloading ${remotePath} in ${ranges.length} segments`);
+    if (offset > 0) {
+      console.log(`Resuming download of ${remotePath} at byte ${offset}`);
+    } else {
+      fs.closeSync(fs.openSync(localPath, 'w'));
+    }
+    
+    // Progress, pausing and the speed limit cover all ranges together
+    const speedLimit = this.speedLimitManager.getEffectiveLimit(connection.id, 'download');
+    const reportProgress = createProgressReporter(size, speedLimit, progressCallback);
+    const group = createStreamGroup();
+    if (options.onStream) {
+      options.onStream(group);
+    }
+    let transferred = offset;
+    // Stops the other ranges once one has failed for good
+    const stopped = new AbortController();
+    let failure = null;
+    
+    const fetchRange = async (session, range) => {
+      const source = await session.createReadStream(remotePath, { start: range.position, end: range.end });
+      const limiter = new SpeedLimiter({ maxBytesPerSecond: speedLimit / ranges.length });
+      let passed = 0;
+      limiter.on('data', (chunk) => {
+        passed += chunk.length;
+        transferred += chunk.length;
+        reportProgress(transferred);
       });
+      holdDriversWith(limiter, [session]);
+      group.add(limiter);
+      const detachAbort = attachAbortSignal(options.signal, limiter);
+      const detachStop = attachAbortSignal(stopped.signal, limiter);
+      const file = fs.createWriteStream(localPath, { flags: 'r+', start: range.position });
+      
+      try {
+        await transferPipeline(source.stream, limiter, file);
+        return source;
+      } finally {
+        detachAbort();
+        detachStop();
+        range.position += file.bytesWritten;
+        // Bytes that never reached the file are fetched again
+        transferred -= passed - file.bytesWritten;
+      }
+    };
+    
+    const runRange = async (session, range) => {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await fetchRange(session, range);
+        } catch (error) {
+          const cancelled = (options.signal && options.signal.aborted) || stopped.signal.aborted;
+          if (cancelled || attempt > SEGMENT_RETRIES) throw error;
+          
+          console.warn(`Segment of ${remotePath} failed (${error.message}), fetching it again from byte ${range.position}`);
+          session = await this.replaceSegmentSession(driver, session, sessions);
+        }
+      }
+    };
+    
+    const results = await Promise.allSettled(ranges.map((range, index) => runRange(sessions[index], range).catch((error) => {
+      failure = failure || error;
+      stopped.abort();
+      throw error;
+    })));
+    sessions.forEach((session) => {
+      if (session !== driver) {
+        session.close();
+      }
+    });
+    
+    if (failure) {
+      try {
+        fs.truncateSync(localPath, getContiguousLength(ranges));
+      } catch (error) {
+        console.error('Failed to cut back the partial download:', error);
+      }
+      console.error(`${connection.type} segmented download error:`, failure);
+      throw new Error(`Download failed: ${failure.message}`);
     }
+    console.log('Download completed successfully');
+    return results[0].value;
   }
 
-  async uploadFile(connectionId, localPath, remotePath, progressCallback) {
-    console.log('ConnectionManager: uploadFile called', { connectionId, connections: this.connections.size });
-    const connection = this.connections.get(connectionId);
-    if (!connection) {
-      console.error('Connection not found. Available connections:', Array.from(this.connections.keys()));
-      throw new Error('Connection not found');
+  // Up to count sessions for the ranges of one download: the extra ones the driver's
+  // openWorker() opens, closed again afterwards, and the driver itself last. A driver
+  // that carries parallel reads itself is used for every range, and a server that
+  // refuses more sessions gets fewer ranges.
+  async openSegmentSessions(driver, count) {
+    const openWorker = () => driver.openWorker().catch((error) => {
+      console.warn(`Could not open another session for a segment (${error.message})`);
+      return undefined;
+    });
+    
+    const first = await openWorker();
+    if (first === null) {
+      return new Array(count).fill(driver);
+    }
+    const rest = await Promise.all(Array.from({ length: count - 2 }, openWorker));
+    return [first, ...rest].filter(Boolean).concat(driver);
+  }
+
+  // Another session for a range whose session failed, in its place in sessions; the
+  // driver itself when no other can be opened
+  async replaceSegmentSession(driver, session, sessions) {
+    if (session !== driver) {
+      session.close();
     }
     
+    let replacement = null;
+    try {
+      replacement = await driver.openWorker();
+    } catch (error) {
+      console.warn(`Could not open another session for a segment (${error.message})`);
+    }
+    sessions[sessions.indexOf(session)] = replacement || driver;
+    return replacement || driver;
+  }
+
+  async uploadFile(connectionId, localPath, remotePath, progressCallback, options = {}) {
+    console.log('ConnectionManager: uploadFile called', { connectionId, connections: this.connections.size });
+    const connection = await this.useConnection(connectionId);
+    return this.withWorker(connection, driver => this.runUpload(connection, driver, localPath, remotePath, progressCallback, options));
+  }
+
+  async runUpload(connection, driver, localPath, remotePath, progressCallback, options) {
     console.log(`Uploading file from ${localPath} to ${remotePath}`);
     
     // Check if local file exists
@@ -296,270 +850,653 @@ class ConnectionManager {
     }
     
     const fileStats = fs.statSync(localPath);
-    const fileSize = fileStats.size;
-    
-    if (connection.type === 'ftp') {
-      await connection.client.uploadFrom(localPath, remotePath);
-    } else if (connection.type === 'sftp') {
-      return new Promise((resolve, reject) => {
-        let lastTime = Date.now();
-        let lastTransferred = 0;
-        let startTime = Date.now();
-        let totalTransferred = 0;
-        
-        // Get speed limit for this connection
-        const speedLimit = this.speedLimitManager.getEffectiveLimit(connectionId, 'upload');
-        const chunkSize = speedLimit === Infinity ? 65536 : Math.min(65536, speedLimit / 10); // Adjust chunk size based on speed limit
-        
-        // Add options for better error handling and progress
-        const options = {
-          chunkSize: chunkSize,
-          step: (total_transferred, chunk, total) => {
-            totalTransferred = total_transferred;
-            const percent = Math.round((total_transferred / total) * 100);
-            console.log(`Upload progress: ${percent}%`);
-            
-            // Speed limiting logic
-            if (speedLimit !== Infinity) {
-              const elapsed = (Date.now() - startTime) / 1000;
-              const expectedBytes = elapsed * speedLimit;
-              
-              if (totalTransferred > expectedBytes) {
-                // We're going too fast, calculate delay
-                const excessBytes = totalTransferred - expectedBytes;
-                const delay = (excessBytes / speedLimit) * 1000;
-                
-                // Pause the transfer briefly
-                return new Promise(resolve => setTimeout(resolve, delay));
-              }
-            }
-            
-            if (progressCallback) {
-              const now = Date.now();
-              const timeDiff = (now - lastTime) / 1000; // seconds
-              const bytesDiff = total_transferred - lastTransferred;
-              const speed = timeDiff > 0 ? bytesDiff / timeDiff : 0;
-              
-              progressCallback({
-                percent,
-                transferred: total_transferred,
-                total: fileSize,
-                speed,
-                speedLimit: speedLimit === Infinity ? null : speedLimit
-              });
-              
-              lastTime = now;
-              lastTransferred = total_transferred;
-            }
-          }
-        };
-        
-        // Set a timeout for the upload
-        const uploadTimeout = setTimeout(() => {
-          reject(new Error('Upload timeout - operation took too long'));
-        }, 30000); // 30 second timeout
-        
-        connection.sftp.fastPut(localPath, remotePath, options, (err) => {
-          clearTimeout(uploadTimeout);
-          
-          if (err) {
-            console.error('SFTP upload error:', err);
-            console.error('Error code:', err.code);
-            console.error('Local path:', localPath);
-            console.error('Remote path:', remotePath);
-            
-            // Check if it's a permission error
-            if (err.code === 3 || err.message.includes('Permission denied')) {
-              reject(new Error(`Permission denied: Cannot write to ${remotePath}`));
-            } else if (err.code === 2 || err.message.includes('No such file')) {
-              reject(new Error(`Remote directory does not exist: ${require('path').dirname(remotePath)}`));
-            } else {
-              reject(new Error(`Upload failed: ${err.message} (code: ${err.code})`));
-            }
-          } else {
-            console.log('Upload completed successfully');
-            
-            // Preserve timestamps if enabled
-            if (connection.config.preserveTimestamps) {
-              // Set the remote file's timestamps to match local file
-              connection.sftp.utimes(remotePath, fileStats.atime.getTime() / 1000, fileStats.mtime.getTime() / 1000, (tsErr) => {
-                if (tsErr) {
-                  console.error('Failed to preserve timestamps:', tsErr);
-                } else {
-                  console.log('Timestamps preserved on remote file');
-                }
-                resolve();
-              });
-            } else {
-              resolve();
-            }
-          }
+    
+    if (connection.config.deltaUploads && driver.capabilities.delta) {
+      const delta = await this.runDeltaUpload(connection, driver, localPath, remotePath, fileStats, progressCallback, options);
+      if (delta) {
+        if (options.onDelta) {
+          options.onDelta(delta);
+        }
+        return options.verify ? this.verifyChecksum(driver, localPath, remotePath) : null;
+      }
+    }
+    
+    // Atomic uploads go to a hidden temporary name next to the target, which is renamed
+    // over the target once complete, so the half-written file is never served
+    const atomic = connection.config.atomicUploads && driver.capabilities.partialUploads && driver.capabilities.rename;
+    const uploadPath = atomic ? getTemporaryUploadPath(remotePath) : remotePath;
+    let replacedMode = null;
+    if (atomic && driver.capabilities.chmod) {
+      replacedMode = await driver.stat(remotePath).then(stats => stats.mode & 0o7777, () => null);
+    }
+    
+    let offset = 0;
+    if (options.resume && driver.capabilities.resumeUpload) {
+      offset = getResumeOffset(await this.getRemoteFileSize(driver, uploadPath), fileStats.size);
+    } else if (options.resume) {
+      console.log(`${connection.type} can't resume uploads, uploading ${localPath} from the start`);
+    }
+    
+    const writeOptions = { start: offset, size: fileStats.size, mode: fileStats.mode };
+    if (connection.config.preserveTimestamps) {
+      writeOptions.atime = fileStats.atime;
+      writeOptions.mtime = fileStats.mtime;
+    }
+    
+    let target;
+    try {
+      target = await driver.createWriteStream(uploadPath, writeOptions);
+    } catch (err) {
+      throw new Error(`Upload failed: ${err.message}`);
+    }
+    
+    const { limiter, detachAbort } = this.createTransferLimiter(connection, 'upload', fileStats.size, offset, progressCallback, options, [driver]);
+    
+    if (offset > 0) {
+      console.log(`Resuming upload of ${localPath} at byte ${offset}`);
+    }
+    
+    try {
+      await transferPipeline(fs.createReadStream(localPath, { start: offset }), limiter, target);
+      console.log('Upload completed successfully');
+    } catch (err) {
+      console.error(`${connection.type} upload error:`, err);
+      if (atomic && !this.isResumableUploadFailure(connection, driver, err, options)) {
+        await driver.delete(uploadPath).catch(() => {});
+      }
+      throw new Error(`Upload failed: ${err.message}`);
+    } finally {
+      detachAbort();
+    }
+    
+    if (atomic) {
+      await this.finishAtomicUpload(driver, uploadPath, remotePath, replacedMode);
+    }
+    return options.verify ? this.verifyChecksum(driver, localPath, remotePath) : null;
+  }
+
+  // Upload only what changed since the file on the server was written, the way rsync
+  // does: checksums of the server's blocks, which rsync or the server works out if it
+  // can and which are otherwise worked out from its file read over the session, are
+  // looked for all along the local file, and the driver rebuilds the file from the
+  // blocks it has and the rest. Resolves with { sent, saved } in bytes, or null for a full upload when
+  // there is no file to compare with or the driver can't patch it.
+  async runDeltaUpload(connection, driver, localPath, remotePath, fileStats, progressCallback, options) {
+    const fs = require('fs');
+    
+    const remoteSize = await this.getRemoteFileSize(driver, remotePath);
+    if (remoteSize === 0 || fileStats.size === 0) return null;
+    
+    const writeOptions = {
+      size: fileStats.size,
+      mode: fileStats.mode,
+      tempPath: getTemporaryUploadPath(remotePath)
+    };
+    if (connection.config.preserveTimestamps) {
+      writeOptions.atime = fileStats.atime;
+      writeOptions.mtime = fileStats.mtime;
+    }
+    
+    const findParts = async (serverSignatures = null) => {
+      console.log(`Comparing ${localPath} with ${remotePath} for a delta upload`);
+      if (serverSignatures) {
+        return computeDelta(localPath, serverSignatures);
+      }
+      
+      const blockSize = getBlockSize(remoteSize);
+      const checksums = await driver.blockChecksums(remotePath, blockSize);
+      if (checksums) {
+        return computeDelta(localPath, signaturesFromChecksums(checksums, blockSize));
+      }
+      
+      const source = await driver.createReadStream(remotePath);
+      // Reading the server's file can be paused and cancelled like a download
+      const { limiter, detachAbort } = this.createTransferLimiter(connection, 'download', remoteSize, 0, null, options, [driver]);
+      let signatures;
+      try {
+        await pipeline(source.stream, limiter, async (chunks) => {
+          signatures = await computeSignatures(chunks, blockSize);
         });
-      });
+      } finally {
+        detachAbort();
+      }
+      return computeDelta(localPath, signatures);
+    };
+    
+    let target;
+    try {
+      target = await driver.createPatchStream(remotePath, findParts, writeOptions);
+    } catch (err) {
+      throw new Error(`Upload failed: ${err.message}`);
+    }
+    if (!target) {
+      console.log(`${connection.type} can't patch ${remotePath} here, uploading all of it`);
+      return null;
+    }
+    
+    const { limiter, detachAbort } = this.createTransferLimiter(connection, 'upload', fileStats.size, 0, progressCallback, options, [driver]);
+    try {
+      await transferPipeline(fs.createReadStream(localPath), limiter, target);
+    } catch (err) {
+      console.error(`${connection.type} delta upload error:`, err);
+      throw new Error(`Upload failed: ${err.message}`);
+    } finally {
+      detachAbort();
+    }
+    
+    console.log(`Delta upload of ${localPath} sent ${target.bytesSent} of ${fileStats.size} bytes`);
+    return { sent: target.bytesSent, saved: fileStats.size - target.bytesSent };
+  }
+
+  // Whether a failed atomic upload keeps its temporary file for a retry, or a requeue
+  // after a reconnect, to continue from. Not when it was cancelled, the driver can't
+  // continue uploads, or the server refused the file, which fails with the status code
+  // it sent rather than a dropped session's error.
+  isResumableUploadFailure(connection, driver, error, options) {
+    if ((options.signal && options.signal.aborted) || !driver.capabilities.resumeUpload) {
+      return false;
+    }
+    return this.isInterrupted(connection.id) || typeof error.code !== 'number';
+  }
+
+  // Remove the temporary file a failed atomic upload kept, once its item is given up
+  async discardPartialUpload(connectionId, remotePath) {
+    const connection = await this.useConnection(connectionId);
+    if (!connection.config.atomicUploads) return;
+    
+    await connection.driver.delete(getTemporaryUploadPath(remotePath)).catch(() => {});
+  }
+
+  // Move a complete atomic upload over its target, giving it the permissions of the file
+  // it replaced. The temporary file is removed when that fails.
+  async finishAtomicUpload(driver, uploadPath, remotePath, mode) {
+    try {
+      await driver.rename(uploadPath, remotePath, { overwrite: true });
+    } catch (err) {
+      await driver.delete(uploadPath).catch(() => {});
+      throw new Error(`Upload failed: could not replace ${remotePath}: ${err.message}`);
+    }
+    
+    if (mode !== null) {
+      try {
+        await driver.chmod(remotePath, mode.toString(8));
+      } catch (err) {
+        console.warn(`Failed to keep the permissions of ${remotePath}:`, err.message);
+      }
+    }
+  }
+
+  // Compare a transferred file with the server's copy using whatever checksum the server
+  // can compute. Resolves with { verified, algorithm, local, remote }, where verified is
+  // null when there was no remote checksum to compare with.
+  async verifyChecksum(driver, localPath, remotePath) {
+    let remote = null;
+    try {
+      remote = await driver.checksum(remotePath);
+    } catch (err) {
+      console.warn(`Could not get a checksum of ${remotePath}:`, err.message);
+    }
+    if (!remote) {
+      return { verified: null };
+    }
+    
+    let local;
+    try {
+      local = await hashLocalFile(localPath, remote.algorithm);
+    } catch (err) {
+      console.warn(`Could not compute a ${remote.algorithm} checksum of ${localPath}:`, err.message);
+      return { verified: null };
+    }
+    console.log(`${remote.algorithm} of ${remotePath}: ${remote.value}, local ${local}`);
+    return { verified: local === remote.value, algorithm: remote.algorithm, local, remote: remote.value };
+  }
+
+  // Copy a file or directory from one open connection to another. Servers that can
+  // exchange a file directly (FXP) do so; anything else is streamed through here
+  // without touching disk.
+  async transferBetween(sourceId, sourcePath, targetId, targetPath, progressCallback, options = {}) {
+    const source = await this.useConnection(sourceId);
+    const target = await this.useConnection(targetId);
+    if (source === target) {
+      throw new Error('Source and target must be different connections');
     }
+    
+    return this.withWorker(source, sourceDriver => this.withWorker(target, async (targetDriver) => {
+      const stats = await sourceDriver.stat(sourcePath).catch(() => null);
+      if (stats && (stats.mode & 0o170000) === 0o040000) {
+        return this.runCopyDirectoryBetween(source, sourceDriver, target, targetDriver, sourcePath, targetPath, progressCallback, options);
+      }
+      return this.runCopyBetween(source, sourceDriver, target, targetDriver, sourcePath, targetPath, progressCallback, options);
+    }));
   }
 
-  createTerminal(config) {
-    // For SFTP connections, we'll create an SSH shell session
-    if (config && config.protocol === 'sftp') {
-      const connectionId = [...this.connections.entries()]
-        .find(([id, conn]) => conn.config.host === config.host && conn.config.username === config.username)?.[0];
+  // A directory copied between connections: every directory under sourcePath is
+  // created on the target, empty ones too, then each file is copied as
+  // runCopyBetween() does, with progress over all of them
+  async runCopyDirectoryBetween(source, sourceDriver, target, targetDriver, sourcePath, targetPath, progressCallback, options) {
+    const { entries, failed } = await this.walkDirectory(sourceDriver, sourcePath);
+    if (failed.length > 0) {
+      throw new Error(`Copy failed: can't read ${failed[0].path}: ${failed[0].error}`);
+    }
+    
+    const files = entries.filter(entry => entry.type === 'file');
+    const total = files.reduce((sum, entry) => sum + entry.size, 0);
+    const reportProgress = createProgressReporter(total, Infinity, progressCallback);
+    const targetOf = entryPath => path.posix.join(targetPath, path.posix.relative(sourcePath, entryPath));
+    
+    // Directories are listed after what they hold, so reversed each comes before its subdirectories
+    const directories = [targetPath, ...entries.filter(entry => entry.type === 'directory').reverse().map(entry => targetOf(entry.path))];
+    try {
+      for (const directory of directories) {
+        await targetDriver.mkdir(directory);
+      }
+    } catch (err) {
+      throw new Error(`Copy failed: ${err.message}`);
+    }
+    
+    let copied = 0;
+    for (const file of files) {
+      if (options.signal && options.signal.aborted) {
+        throw new Error('Transfer cancelled');
+      }
       
-      if (connectionId) {
-        const connection = this.connections.get(connectionId);
-        if (connection && connection.type === 'sftp') {
-          return new Promise((resolve, reject) => {
-            connection.client.shell((err, stream) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              
-              resolve({
-                stream,
-                write: (data) => stream.write(data),
-                onData: (callback) => stream.on('data', callback),
-                onClose: (callback) => stream.on('close', callback),
-                resize: (cols, rows) => stream.setWindow(rows, cols, 480, 640)
-              });
-            });
-          });
-        }
+      await this.runCopyBetween(source, sourceDriver, target, targetDriver, file.path, targetOf(file.path), (progress) => {
+        reportProgress(copied + progress.transferred);
+      }, options);
+      copied += file.size;
+      reportProgress(copied);
+    }
+    console.log(`Copied ${files.length} files and ${directories.length} folders from ${sourcePath}`);
+  }
+
+  async runCopyBetween(source, sourceDriver, target, targetDriver, sourcePath, targetPath, progressCallback, options) {
+    console.log(`Copying ${source.config.host}:${sourcePath} to ${target.config.host}:${targetPath}`);
+    
+    let stats = null;
+    try {
+      stats = await sourceDriver.stat(sourcePath);
+    } catch (err) {
+      // Size and mode then come from the read stream and the defaults
+    }
+    
+    let size = stats ? stats.size : 0;
+    const reportProgress = createProgressReporter(size, Infinity, progressCallback);
+    try {
+      if (await sourceDriver.transferTo(targetDriver, sourcePath, targetPath, { signal: options.signal, onProgress: reportProgress })) {
+        reportProgress(size);
+        console.log('Server-to-server transfer completed');
+        return;
+      }
+    } catch (err) {
+      if (options.signal && options.signal.aborted) {
+        throw new Error(`Copy failed: ${err.message}`);
       }
+      console.warn(`Server-to-server transfer failed (${err.message}), streaming the file instead`);
+    }
+    
+    let offset = 0;
+    if (options.resume && sourceDriver.capabilities.resume && targetDriver.capabilities.resumeUpload && stats) {
+      offset = getResumeOffset(await this.getRemoteFileSize(targetDriver, targetPath), stats.size);
     }
     
-    return Promise.reject(new Error('Terminal only available for SFTP connections'));
+    let reader;
+    try {
+      reader = await sourceDriver.createReadStream(sourcePath, { start: offset });
+    } catch (err) {
+      throw new Error(`Copy failed: ${err.message}`);
+    }
+    // Write from wherever the source actually starts, which is 0 if it can't skip ahead
+    offset = reader.start;
+    
+    // null when neither the stat nor the read stream tells, and the target is written
+    // without knowing how much is coming
+    const knownSize = reader.size || (stats ? stats.size : null);
+    size = knownSize || 0;
+    const writeOptions = { start: offset, size: knownSize, mode: stats ? stats.mode : 0o100644 };
+    if (target.config.preserveTimestamps && reader.mtime) {
+      writeOptions.atime = reader.atime || reader.mtime;
+      writeOptions.mtime = reader.mtime;
+    }
+    
+    let writer;
+    try {
+      writer = await targetDriver.createWriteStream(targetPath, writeOptions);
+    } catch (err) {
+      reader.stream.destroy();
+      throw new Error(`Copy failed: ${err.message}`);
+    }
+    
+    // The target's upload limit applies, as the bytes leave this machine towards it
+    const { limiter, detachAbort } = this.createTransferLimiter(target, 'upload', size, offset, progressCallback, options, [sourceDriver, targetDriver]);
+    
+    if (offset > 0) {
+      console.log(`Resuming copy of ${sourcePath} at byte ${offset}`);
+    }
+    
+    try {
+      await transferPipeline(reader.stream, limiter, writer);
+      console.log('Copy completed successfully');
+    } catch (err) {
+      console.error(`${source.type} to ${target.type} copy error:`, err);
+      throw new Error(`Copy failed: ${err.message}`);
+    } finally {
+      detachAbort();
+    }
   }
-  
-  async renameFile(connectionId, oldPath, newPath) {
-    const connection = this.connections.get(connectionId);
-    if (!connection) {
-      throw new Error('Connection not found');
+
+  // Copy a file or directory to another path on the same server, keeping permissions
+  // and timestamps. The server makes the copy when the driver knows how; otherwise
+  // every file is streamed through here.
+  async copyRemote(connectionId, sourcePath, targetPath, progressCallback, options = {}) {
+    const connection = await this.useConnection(connectionId);
+    return this.withWorker(connection, driver => this.runCopyRemote(connection, driver, sourcePath, targetPath, progressCallback, options));
+  }
+
+  async runCopyRemote(connection, driver, sourcePath, targetPath, progressCallback, options) {
+    const source = path.posix.resolve('/', sourcePath);
+    const target = path.posix.resolve('/', targetPath);
+    if (source === target) {
+      throw new Error('Copy failed: source and target are the same');
+    }
+    if (target.startsWith(`${source}/`)) {
+      throw new Error('Copy failed: a folder can\'t be copied into itself');
+    }
+    
+    let stats;
+    try {
+      stats = await driver.stat(sourcePath);
+    } catch (err) {
+      throw new Error(`Copy failed: ${err.message}`);
+    }
+    const isDirectory = (stats.mode & 0o170000) === 0o040000;
+    
+    try {
+      if (await driver.copy(sourcePath, targetPath, { isDirectory })) {
+        console.log(`Copied ${sourcePath} to ${targetPath} on the server`);
+        createProgressReporter(stats.size, Infinity, progressCallback)(stats.size);
+        return;
+      }
+    } catch (err) {
+      throw new Error(`Copy failed: ${err.message}`);
     }
     
-    if (connection.type === 'sftp') {
-      return new Promise((resolve, reject) => {
-        connection.sftp.rename(oldPath, newPath, (err) => {
-          if (err) {
-            reject(new Error(`Rename failed: ${err.message}`));
-          } else {
-            resolve();
+    console.log(`${connection.type} can't copy on the server, streaming ${sourcePath} through this machine`);
+    // A driver that can't read and write at once gets a second session to write with
+    const writer = driver.capabilities.parallelStreams ? driver : await driver.openWorker();
+    
+    try {
+      let entries = [{ path: sourcePath, type: 'file', size: stats.size }];
+      if (isDirectory) {
+        const walk = await this.walkDirectory(driver, sourcePath);
+        if (walk.failed.length > 0) {
+          throw new Error(`can't read ${walk.failed[0].path}: ${walk.failed[0].error}`);
+        }
+        // Children come before their directory, so each directory's mode is set last
+        entries = [...walk.entries, { path: sourcePath, type: 'directory', size: 0 }];
+      }
+      
+      const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+      const createdDirectories = new Set();
+      let copied = 0;
+      for (const entry of entries) {
+        if (options.signal && options.signal.aborted) {
+          throw new Error('Transfer cancelled');
+        }
+        
+        const entryTarget = path.posix.join(targetPath, path.posix.relative(sourcePath, entry.path));
+        const entryStats = entry.path === sourcePath ? stats : await driver.stat(entry.path);
+        const directory = entry.type === 'directory' ? entryTarget : path.posix.dirname(entryTarget);
+        if (isDirectory && !createdDirectories.has(directory)) {
+          await writer.mkdir(directory);
+          createdDirectories.add(directory);
+        }
+        
+        if (entry.type === 'file') {
+          await this.streamRemoteFile(connection, driver, writer, entry.path, entryTarget, entryStats, { total, copied, progressCallback, options });
+          copied += entry.size;
+        }
+        
+        if (writer.capabilities.chmod) {
+          try {
+            await writer.chmod(entryTarget, (entryStats.mode & 0o7777).toString(8));
+          } catch (err) {
+            console.warn(`Failed to copy permissions to ${entryTarget}:`, err.message);
           }
-        });
-      });
-    } else {
-      throw new Error('Rename not supported for FTP connections');
+        }
+      }
+      console.log('Copy completed successfully');
+    } catch (err) {
+      throw new Error(`Copy failed: ${err.message}`);
+    } finally {
+      if (writer !== driver) {
+        writer.close();
+      }
     }
   }
-  
-  async deleteFile(connectionId, filePath) {
-    const connection = this.connections.get(connectionId);
-    if (!connection) {
-      throw new Error('Connection not found');
+
+  // One file of a streamed copyRemote(); progress covers the whole copy
+  async streamRemoteFile(connection, driver, writer, sourcePath, targetPath, stats, { total, copied, progressCallback, options }) {
+    const reader = await driver.createReadStream(sourcePath);
+    const writeOptions = { start: 0, size: reader.size || stats.size, mode: stats.mode };
+    if (stats.mtime) {
+      writeOptions.atime = new Date((stats.atime || stats.mtime) * 1000);
+      writeOptions.mtime = new Date(stats.mtime * 1000);
     }
     
-    if (connection.type === 'sftp') {
-      return new Promise((resolve, reject) => {
-        connection.sftp.unlink(filePath, (err) => {
-          if (err) {
-            reject(new Error(`Delete failed: ${err.message}`));
-          } else {
-            resolve();
-          }
-        });
-      });
-    } else if (connection.type === 'ftp') {
-      await connection.client.remove(filePath);
+    let target;
+    try {
+      target = await writer.createWriteStream(targetPath, writeOptions);
+    } catch (err) {
+      reader.stream.destroy();
+      throw err;
+    }
+    
+    const { limiter, detachAbort } = this.createTransferLimiter(connection, 'upload', total, copied, progressCallback, options, [driver, writer]);
+    try {
+      await transferPipeline(reader.stream, limiter, target);
+    } finally {
+      detachAbort();
     }
   }
-  
-  async getFileStats(connectionId, filePath) {
-    const connection = this.connections.get(connectionId);
-    if (!connection) {
-      throw new Error('Connection not found');
+
+  // Every transfer's data passes through a limiter, which applies the speed limit,
+  // counts progress from offset on and is what pausing and cancelling act on. drivers
+  // are the sessions the transfer runs on.
+  createTransferLimiter(connection, direction, total, offset, progressCallback, options, drivers) {
+    const speedLimit = this.speedLimitManager.getEffectiveLimit(connection.id, direction);
+    const limiter = new SpeedLimiter({ maxBytesPerSecond: speedLimit });
+    const reportProgress = createProgressReporter(total, speedLimit, progressCallback);
+    let transferred = offset;
+    limiter.on('data', (chunk) => {
+      transferred += chunk.length;
+      reportProgress(transferred);
+    });
+    holdDriversWith(limiter, drivers);
+    
+    if (options.onStream) {
+      options.onStream(limiter);
     }
+    const detachAbort = attachAbortSignal(options.signal, limiter);
     
-    if (connection.type === 'sftp') {
-      return new Promise((resolve, reject) => {
-        connection.sftp.stat(filePath, (err, stats) => {
-          if (err) {
-            reject(new Error(`Failed to get file stats: ${err.message}`));
-          } else {
-            resolve(stats);
-          }
-        });
-      });
-    } else {
-      throw new Error('File stats not available for FTP connections');
+    return { limiter, detachAbort };
+  }
+
+  // Size of a remote file, or 0 if it doesn't exist yet
+  async getRemoteFileSize(driver, remotePath) {
+    try {
+      return (await driver.stat(remotePath)).size;
+    } catch (error) {
+      return 0;
     }
   }
-  
-  async chmod(connectionId, filePath, mode) {
-    const connection = this.connections.get(connectionId);
-    if (!connection) {
-      throw new Error('Connection not found');
+
+  // Every entry below dirPath with children ahead of their directory, so deleting in
+  // this order empties each directory before it is removed. Directories that can't be
+  // listed are added to failed and left out.
+  async walkDirectory(driver, dirPath, entries = [], failed = []) {
+    let items;
+    try {
+      items = await driver.list(dirPath);
+    } catch (error) {
+      failed.push({ path: dirPath, error: error.message });
+      return { entries, failed };
     }
     
-    if (connection.type === 'sftp') {
-      return new Promise((resolve, reject) => {
-        const modeInt = parseInt(mode, 8);
-        connection.sftp.chmod(filePath, modeInt, (err) => {
-          if (err) {
-            reject(new Error(`Failed to change permissions: ${err.message}`));
-          } else {
-            resolve();
-          }
+    for (const item of items) {
+      if (item.name === '.' || item.name === '..') continue;
+      
+      const itemPath = path.posix.join(dirPath, item.name);
+      if (item.type === 'directory') {
+        await this.walkDirectory(driver, itemPath, entries, failed);
+        entries.push({ path: itemPath, type: 'directory', size: 0 });
+      } else {
+        entries.push({ path: itemPath, type: 'file', size: item.size || 0 });
+      }
+    }
+    return { entries, failed };
+  }
+
+  // Totals for the confirmation shown before a recursive delete
+  async scanDirectory(connectionId, dirPath) {
+    const connection = await this.useConnection(connectionId);
+    const { entries, failed } = await this.walkDirectory(connection.driver, dirPath);
+    const files = entries.filter(entry => entry.type === 'file');
+    return {
+      files: files.length,
+      directories: entries.length - files.length,
+      size: files.reduce((total, entry) => total + entry.size, 0),
+      failed
+    };
+  }
+
+  // Delete a directory and everything in it. Entries the server refuses (usually for
+  // permissions) don't stop the rest; they are returned in failed along with the
+  // directories above them, which can't be removed while not empty.
+  async deleteDirectory(connectionId, dirPath, progressCallback, options = {}) {
+    const connection = await this.useConnection(connectionId);
+    return this.withWorker(connection, driver => this.runDeleteDirectory(driver, dirPath, progressCallback, options));
+  }
+
+  async runDeleteDirectory(driver, dirPath, progressCallback, options) {
+    const { entries, failed } = await this.walkDirectory(driver, dirPath);
+    entries.push({ path: dirPath, type: 'directory', size: 0 });
+    
+    const gate = createPauseGate(options.signal);
+    if (options.onStream) {
+      options.onStream(gate);
+    }
+    
+    let deleted = 0;
+    for (const [index, entry] of entries.entries()) {
+      await gate.wait();
+      if (options.signal && options.signal.aborted) {
+        throw new Error('Delete cancelled');
+      }
+      
+      try {
+        if (entry.type === 'directory') {
+          await driver.rmdir(entry.path);
+        } else {
+          await driver.delete(entry.path);
+        }
+        deleted++;
+      } catch (error) {
+        failed.push({ path: entry.path, error: error.message });
+      }
+      
+      if (progressCallback) {
+        progressCallback({
+          percent: Math.round(((index + 1) / entries.length) * 100),
+          transferred: index + 1,
+          total: entries.length
         });
-      });
-    } else {
-      throw new Error('Chmod not supported for FTP connections');
+      }
     }
+    
+    console.log(`Deleted ${deleted} of ${entries.length} entries under ${dirPath}`);
+    return { deleted, failed };
   }
-  
-  async createDirectory(connectionId, remotePath) {
-    const connection = this.connections.get(connectionId);
-    if (!connection) {
-      throw new Error('Connection not found');
+
+  // Open a shell on the connection's own SSH session, so a terminal needs no login
+  // of its own and works whenever the file session does
+  async createTerminal(connectionId) {
+    const connection = await this.useConnection(connectionId);
+    if (!connection.driver.capabilities.terminal) {
+      throw new Error('Terminal only available for SSH connections');
     }
     
-    if (connection.type === 'sftp') {
-      return new Promise((resolve, reject) => {
-        // Create directory recursively
-        const pathParts = remotePath.split('/').filter(p => p);
-        let currentPath = remotePath.startsWith('/') ? '/' : '';
-        
-        const createNext = (index) => {
-          if (index >= pathParts.length) {
-            resolve();
-            return;
-          }
-          
-          currentPath = path.join(currentPath, pathParts[index]);
-          
-          // Check if directory exists
-          connection.sftp.stat(currentPath, (err, stats) => {
-            if (!err && stats.isDirectory()) {
-              // Directory exists, continue with next
-              createNext(index + 1);
-            } else {
-              // Create directory
-              connection.sftp.mkdir(currentPath, (mkdirErr) => {
-                if (mkdirErr && mkdirErr.code !== 4) { // 4 = file already exists
-                  reject(new Error(`Failed to create directory ${currentPath}: ${mkdirErr.message}`));
-                } else {
-                  createNext(index + 1);
-                }
-              });
-            }
-          });
-        };
-        
-        createNext(0);
-      });
-    } else if (connection.type === 'ftp') {
-      await connection.client.ensureDir(remotePath);
+    const stream = await connection.driver.openShell();
+    return {
+      stream,
+      write: (data) => stream.write(data),
+      onData: (callback) => stream.on('data', callback),
+      onClose: (callback) => stream.on('close', callback),
+      resize: (cols, rows) => stream.setWindow(rows, cols, 480, 640),
+      close: () => stream.close()
+    };
+  }
+
+  // Run a shell command in directory on the server. Resolves with { stdout, stderr,
+  // exitCode }; a command that fails on the server still resolves.
+  async runCommand(connectionId, command, directory) {
+    const connection = await this.useConnection(connectionId);
+    try {
+      return await connection.driver.exec(directory ? `cd ${shellQuote(directory)} && ${command}` : command);
+    } catch (error) {
+      throw new Error(`Command failed: ${error.message}`);
+    }
+  }
+
+  async renameFile(connectionId, oldPath, newPath) {
+    const connection = await this.useConnection(connectionId);
+    try {
+      await connection.driver.rename(oldPath, newPath);
+    } catch (error) {
+      throw new Error(`Rename failed: ${error.message}`);
     }
   }
+
+  async deleteFile(connectionId, filePath) {
+    const connection = await this.useConnection(connectionId);
+    try {
+      await connection.driver.delete(filePath);
+    } catch (error) {
+      throw new Error(`Delete failed: ${error.message}`);
+    }
+  }
+
+  async getFileStats(connectionId, filePath) {
+    const connection = await this.useConnection(connectionId);
+    try {
+      return await connection.driver.stat(filePath);
+    } catch (error) {
+      throw new Error(`Failed to get file stats: ${error.message}`);
+    }
+  }
+
+  async chmod(connectionId, filePath, mode) {
+    const connection = await this.useConnection(connectionId);
+    try {
+      await connection.driver.chmod(filePath, mode);
+    } catch (error) {
+      throw new Error(`Failed to change permissions: ${error.message}`);
+    }
+  }
+
+  // Creates missing parent directories too
+  async createDirectory(connectionId, remotePath) {
+    const connection = await this.useConnection(connectionId);
+    try {
+      await connection.driver.mkdir(remotePath);
+    } catch (error) {
+      throw new Error(`Failed to create directory ${remotePath}: ${error.message}`);
+    }
+  }
+
+  getCapabilities(connectionId) {
+    const connection = this.getConnection(connectionId);
+    return { protocol: connection.type, ...connection.driver.capabilities };
+  }
   
   setSpeedLimit(connectionId, type, bytesPerSecond) {
     this.speedLimitManager.setLimit(connectionId, type, bytesPerSecond);
@@ -0,0 +1,65 @@
+const Store = require('electron-store');
+const { v4: uuidv4 } = require('uuid');
+const { shellQuote } = require('./scpSession');
+
+// Placeholders in a command, as in WinSCP: ! is a selected file, !& all selected files
+// separated by spaces, !/ the current remote directory, !@ the host and !! a literal !.
+// A command with ! runs once for each selected file, so this returns the commands to run.
+function expandCommands(template, { fileNames = [], directory, host }) {
+  const placeholders = /!(!|\/|@|&)?/g;
+  const expand = fileName => template.replace(placeholders, (match, kind) => {
+    if (kind === '!') return '!';
+    if (kind === '/') return shellQuote(directory || '/');
+    if (kind === '@') return host || '';
+    if (fileNames.length === 0) {
+      throw new Error('This command needs a selected file');
+    }
+    return kind === '&' ? fileNames.map(shellQuote).join(' ') : shellQuote(fileName);
+  });
+  
+  const perFile = Array.from(template.matchAll(placeholders)).some(match => match[1] === undefined);
+  if (perFile && fileNames.length > 0) {
+    return fileNames.map(expand);
+  }
+  return [expand(null)];
+}
+
+// User-defined shell commands for SSH connections. A command with a profile is only
+// offered on connections made with the saved profile of that name; the others are global.
+class CustomCommandsManager {
+  constructor() {
+    this.store = new Store({
+      name: 'custom-commands',
+      defaults: {
+        commands: []
+      }
+    });
+  }
+
+  getCommands(profileName = null) {
+    return this.store.get('commands', [])
+      .filter(command => !command.profile || command.profile === profileName);
+  }
+
+  addCommand(command) {
+    const commands = this.store.get('commands', []);
+    const newCommand = {
+      id: uuidv4(),
+      name: command.name || command.command,
+      command: command.command,
+      profile: command.profile || null,
+      createdAt: new Date().toISOString()
+    };
+    
+    commands.push(newCommand);
+    this.store.set('commands', commands);
+    return newCommand;
+  }
+
+  deleteCommand(id) {
+    const commands = this.store.get('commands', []);
+    this.store.set('commands', commands.filter(command => command.id !== id));
+  }
+}
+
+module.exports = { CustomCommandsManager, expandCommands };
\ No newline at end of file
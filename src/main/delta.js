@@ -0,0 +1,177 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Bytes of the local file examined between reads, so the main process isn't blocked
+const READ_SIZE = 1024 * 1024;
+
+// About the square root of the file size as rsync picks it, in whole KB
+function getBlockSize(size) {
+  return Math.min(128 * 1024, Math.max(4096, Math.ceil(Math.sqrt(size) / 1024) * 1024));
+}
+
+function unsignedByteAt(buffer, i) {
+  return buffer[i];
+}
+
+function signedByteAt(buffer, i) {
+  return (buffer[i] << 24) >> 24;
+}
+
+// rsync's weak checksum: two 16-bit sums that can be rolled one byte along the file.
+// rsync itself adds the bytes up as signed values.
+function weakSums(buffer, start, end, byteAt = unsignedByteAt) {
+  let a = 0;
+  let b = 0;
+  for (let i = start; i < end; i++) {
+    a += byteAt(buffer, i);
+    b += (end - i) * byteAt(buffer, i);
+  }
+  return { a: a & 0xffff, b: b & 0xffff };
+}
+
+function strongSum(buffer, start, end) {
+  return crypto.createHash('md5').update(buffer.subarray(start, end)).digest('hex');
+}
+
+function addSignature(blocks, { a, b }, entry) {
+  const weak = a + b * 0x10000;
+  blocks.set(weak, (blocks.get(weak) || []).concat(entry));
+}
+
+// Checksums of every blockSize bytes of a readable, the file already on the server.
+// Resolves with { blockSize, size, blocks: Map of weak sum -> [{ offset, length, strong }] }.
+async function computeSignatures(stream, blockSize) {
+  const blocks = new Map();
+  let size = 0;
+  let pending = Buffer.alloc(0);
+  
+  const addBlock = (buffer, offset) => {
+    const entry = { offset, length: buffer.length, strong: strongSum(buffer, 0, buffer.length) };
+    addSignature(blocks, weakSums(buffer, 0, buffer.length), entry);
+  };
+  
+  for await (const chunk of stream) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    let used = 0;
+    while (pending.length - used >= blockSize) {
+      addBlock(pending.subarray(used, used + blockSize), size);
+      size += blockSize;
+      used += blockSize;
+    }
+    pending = pending.subarray(used);
+  }
+  if (pending.length) {
+    addBlock(pending, size);
+    size += pending.length;
+  }
+  
+  return { blockSize, size, blocks };
+}
+
+// The same from checksums the server worked out itself, as { length, a, b, strong }
+// for each block in order
+function signaturesFromChecksums(checksums, blockSize) {
+  const blocks = new Map();
+  let size = 0;
+  for (const { length, a, b, strong } of checksums) {
+    addSignature(blocks, { a, b }, { offset: size, length, strong });
+    size += length;
+  }
+  return { blockSize, size, blocks };
+}
+
+// Walk the local file a byte at a time looking for blocks the server has, anywhere in
+// it. Resolves with parts covering the local file in order as { offset, length, from },
+// from being where the same bytes are in the server's file, or null for new bytes.
+// Signatures from rsync itself bring their own strongSum() and signedBytes.
+async function computeDelta(localPath, signatures) {
+  const { blockSize, blocks } = signatures;
+  const strongSumOf = signatures.strongSum || strongSum;
+  const byteAt = signatures.signedBytes ? signedByteAt : unsignedByteAt;
+  const file = await fs.promises.open(localPath, 'r');
+  const parts = [];
+  
+  const addPart = (offset, length, from) => {
+    const last = parts[parts.length - 1];
+    // Runs of new bytes, and blocks that follow each other on the server, become one part
+    if (last && (from === null ? last.from === null : last.from !== null && last.from + last.length === from)) {
+      last.length += length;
+    } else {
+      parts.push({ offset, length, from });
+    }
+  };
+  
+  try {
+    const { size } = await file.stat();
+    // buffer holds the file from bufferStart on; pos is where the window begins
+    let buffer = Buffer.alloc(0);
+    let bufferStart = 0;
+    let pos = 0;
+    let literalStart = 0;
+    let sums = null;
+    
+    const fill = async () => {
+      // Everything before the window has been dealt with
+      const keep = buffer.subarray(pos - bufferStart);
+      const chunk = Buffer.alloc(READ_SIZE);
+      const { bytesRead } = await file.read(chunk, 0, READ_SIZE, bufferStart + buffer.length);
+      buffer = Buffer.concat([keep, chunk.subarray(0, bytesRead)]);
+      bufferStart = pos;
+    };
+    
+    const findBlock = (length) => {
+      const start = pos - bufferStart;
+      const candidates = blocks.get(sums.a + sums.b * 0x10000);
+      if (!candidates) return null;
+      
+      const strong = strongSumOf(buffer, start, start + length);
+      const matches = candidates.filter(block => block.length === length && block.strong === strong);
+      // The block at the same offset, if it matches, saves the server from copying it
+      return matches.find(block => block.offset === pos) || matches[0] || null;
+    };
+    
+    while (pos < size) {
+      const length = Math.min(blockSize, size - pos);
+      // The window and the byte after it, which rolling brings in
+      if (pos + length + 1 > bufferStart + buffer.length && bufferStart + buffer.length < size) {
+        await fill();
+      }
+      const start = pos - bufferStart;
+      if (!sums) {
+        sums = weakSums(buffer, start, start + length, byteAt);
+      }
+      
+      const block = findBlock(length);
+      if (block) {
+        if (pos > literalStart) {
+          addPart(literalStart, pos - literalStart, null);
+        }
+        addPart(pos, length, block.offset);
+        pos += length;
+        literalStart = pos;
+        sums = null;
+      } else if (length < blockSize) {
+        // The tail only matches the server's last block as a whole
+        break;
+      } else {
+        // Slide the window one byte: the first byte leaves, the next one comes in
+        const leaving = byteAt(buffer, start);
+        pos++;
+        if (pos + length > size) {
+          sums = null;
+        } else {
+          const a = (sums.a - leaving + byteAt(buffer, start + length)) & 0xffff;
+          sums = { a, b: (sums.b - length * leaving + a) & 0xffff };
+        }
+      }
+    }
+    if (size > literalStart) {
+      addPart(literalStart, size - literalStart, null);
+    }
+    return parts;
+  } finally {
+    await file.close();
+  }
+}
+
+module.exports = { getBlockSize, computeSignatures, signaturesFromChecksums, computeDelta };
\ No newline at end of file
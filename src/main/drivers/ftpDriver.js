@@ -0,0 +1,462 @@
+const path = require('path');
+const { ProtocolDriver } = require('./protocolDriver');
+const { readableFromProducer, writableFromConsumer, takeBytes } = require('./streams');
+
+const S_IFDIR = 0o040000;
+const S_IFREG = 0o100000;
+// How often the size of a file written by an FXP transfer is checked for progress
+const SIZE_POLL_INTERVAL = 1000;
+
+// Parse the fact line of an MLST reply ("250-...\r\n type=file;size=12;... /path\r\n250 End")
+function parseMlstFacts(message) {
+  const factLine = message.split(/\r?\n/)
+    .map(line => line.replace(/^\d{3}[- ]/, ''))
+    .find(line => /^\s*[\w.-]+=[^;]*;/.test(line));
+  if (!factLine) return null;
+  
+  const facts = {};
+  const factString = factLine.trim().split(' ')[0];
+  factString.split(';').forEach(fact => {
+    const [key, value] = fact.split('=');
+    if (key && value !== undefined) {
+      facts[key.toLowerCase()] = value;
+    }
+  });
+  if (facts.type) {
+    facts.type = facts.type.toLowerCase();
+  }
+  return facts;
+}
+
+// MLST/MDTM timestamps are YYYYMMDDHHMMSS[.sss] in UTC
+function parseMlstDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+function permissionsToMode(permissions, isDirectory) {
+  if (!permissions) {
+    return isDirectory ? 0o755 : 0o644;
+  }
+  return (permissions.user << 6) | (permissions.group << 3) | permissions.world;
+}
+
+// Send RETR or STOR for a transfer whose data connection runs between two servers,
+// resolving on the final reply after the 150 that opens it
+function sendServerTransferCommand(client, command) {
+  return client.ftp.handle(command, (res, task) => {
+    if (res instanceof Error) {
+      task.reject(res);
+    } else if (res.code === 125 || res.code === 150) {
+      // No data passes over the control connection, so its timeout would cut off large files
+      client.ftp.socket.setTimeout(0);
+    } else if (res.code >= 200 && res.code < 300) {
+      task.resolve(res);
+    } else {
+      task.reject(new Error(res.message));
+    }
+  });
+}
+
+class FTPDriver extends ProtocolDriver {
+  constructor(client, features, reconnect, keepaliveInterval = 0) {
+    // One control connection carries one transfer at a time
+    super('ftp', { resume: true, resumeUpload: true, rangedReads: true, parallelStreams: false });
+    this.client = this.guardClient(client);
+    // FEAT tells us whether MLST is available for stat calls
+    this.features = features;
+    this.reconnect = reconnect;
+    this.reconnecting = null;
+    // NOOPs stop servers and NAT routers from dropping an idle control connection
+    this.keepalive = null;
+    this.keepaliveTimer = null;
+    // basic-ftp's timeout while a transfer is held, which has it switched off
+    this.heldTimeout = null;
+    if (keepaliveInterval > 0) {
+      this.keepaliveTimer = setInterval(() => this.sendKeepalive(), keepaliveInterval * 1000);
+      this.keepaliveTimer.unref();
+    }
+  }
+
+  static async connect(config, manager) {
+    try {
+      const client = await manager.openFtpClient(config);
+      
+      let features = new Map();
+      try {
+        features = await client.features();
+      } catch (featError) {
+        console.warn('FTP FEAT failed:', featError.message);
+      }
+      
+      return new FTPDriver(client, features, () => manager.openFtpClient(config), config.keepaliveInterval);
+    } catch (error) {
+      throw new Error(`FTP connection failed: ${error.message}`);
+    }
+  }
+
+  // basic-ftp closes the connection when a command is sent while another is still
+  // running. Every command goes through ftp.handle(), so commands wait for a
+  // keepalive NOOP that is in flight.
+  guardClient(client) {
+    const handle = client.ftp.handle.bind(client.ftp);
+    client.ftp.handle = (...args) => (this.keepalive ? this.keepalive.then(() => handle(...args)) : handle(...args));
+    return client;
+  }
+
+  close() {
+    clearInterval(this.keepaliveTimer);
+    this.client.close();
+  }
+
+  // Another login with the same settings
+  async openWorker() {
+    return new FTPDriver(await this.reconnect(), this.features, this.reconnect);
+  }
+
+  async sendKeepalive() {
+    await this.ensureConnected();
+    if (this.client.closed) {
+      this.disconnected(new Error('FTP control connection closed'));
+      return;
+    }
+    // A running command keeps the connection alive anyway
+    if (this.keepalive || this.client.ftp._task) return;
+    
+    let failure = null;
+    this.keepalive = this.client.send('NOOP').catch((error) => {
+      failure = error;
+    });
+    await this.keepalive;
+    this.keepalive = null;
+    if (failure) {
+      this.disconnected(failure);
+    }
+  }
+
+  // basic-ftp closes the control connection when a transfer is aborted, so log in
+  // again. Concurrent callers share the one login.
+  async ensureConnected() {
+    if (!this.client.closed) return;
+    
+    if (!this.reconnecting) {
+      console.log('FTP control connection closed, reconnecting');
+      this.reconnecting = this.reconnect()
+        .then((client) => {
+          this.client = this.guardClient(client);
+        })
+        .catch((error) => {
+          console.error('FTP reconnect failed:', error);
+        })
+        .finally(() => {
+          this.reconnecting = null;
+        });
+    }
+    await this.reconnecting;
+  }
+
+  async list(remotePath) {
+    const list = await this.client.list(remotePath);
+    return list.map(item => ({
+      name: item.name,
+      type: item.type === 2 ? 'directory' : 'file',
+      size: item.size,
+      modifiedAt: item.modifiedAt,
+      permissions: item.permissions
+    }));
+  }
+
+  async stat(filePath) {
+    const client = this.client;
+    const stats = { mode: 0, uid: 0, gid: 0, size: 0, atime: 0, mtime: 0 };
+    
+    // MLST returns type, size, mtime and (on most Unix servers) the mode in one reply
+    if (this.features.has('MLST')) {
+      try {
+        const response = await client.send(`MLST ${filePath}`);
+        const facts = parseMlstFacts(response.message);
+        if (facts) {
+          const isDirectory = ['dir', 'cdir', 'pdir'].includes(facts.type);
+          const permissions = facts['unix.mode'] ? parseInt(facts['unix.mode'], 8) : (isDirectory ? 0o755 : 0o644);
+          const modified = facts.modify ? parseMlstDate(facts.modify) : null;
+          
+          stats.mode = (isDirectory ? S_IFDIR : S_IFREG) | permissions;
+          stats.size = parseInt(facts.size || facts.sizd || '0', 10);
+          stats.mtime = modified ? Math.floor(modified.getTime() / 1000) : 0;
+          stats.atime = stats.mtime;
+          stats.uid = parseInt(facts['unix.uid'] || '0', 10);
+          stats.gid = parseInt(facts['unix.gid'] || '0', 10);
+          return stats;
+        }
+      } catch (error) {
+        console.warn(`MLST failed for ${filePath}, falling back to LIST:`, error.message);
+      }
+    }
+    
+    // Fall back to the parent listing for type and permissions, then SIZE/MDTM for accuracy
+    const parentPath = path.posix.dirname(filePath);
+    const fileName = path.posix.basename(filePath);
+    const entries = await client.list(parentPath);
+    const entry = entries.find(item => item.name === fileName);
+    if (!entry) {
+      throw new Error(`No such file: ${filePath}`);
+    }
+    
+    const isDirectory = entry.type === 2;
+    stats.mode = (isDirectory ? S_IFDIR : S_IFREG) | permissionsToMode(entry.permissions, isDirectory);
+    stats.size = entry.size;
+    stats.mtime = entry.modifiedAt ? Math.floor(entry.modifiedAt.getTime() / 1000) : 0;
+    
+    if (!isDirectory) {
+      try {
+        stats.size = await client.size(filePath);
+      } catch (error) {
+        // SIZE is optional, keep the listing value
+      }
+      try {
+        stats.mtime = Math.floor((await client.lastMod(filePath)).getTime() / 1000);
+      } catch (error) {
+        // MDTM is optional, keep the listing value
+      }
+    }
+    
+    stats.atime = stats.mtime;
+    return stats;
+  }
+
+  async createReadStream(remotePath, { start = 0, end } = {}) {
+    let size = 0;
+    try {
+      size = await this.client.size(remotePath);
+    } catch (error) {
+      // SIZE is optional, progress is reported without a percentage
+    }
+    
+    const stream = readableFromProducer(async (destination) => {
+      try {
+        // basic-ftp sends REST before RETR when given a start offset
+        await this.client.downloadTo(destination, remotePath, start);
+      } finally {
+        await this.ensureConnected();
+      }
+    });
+    if (end === undefined || (size > 0 && end >= size - 1)) {
+      return { stream, size, start };
+    }
+    // RETR has no end offset, so a range that stops short of the end of the file
+    // closes the control connection once its bytes are in, which fails the RETR;
+    // ensureConnected() then logs in again
+    return { stream: takeBytes(stream, end - start + 1, () => this.client.close()), size, start };
+  }
+
+  async createWriteStream(remotePath, { start = 0 } = {}) {
+    return writableFromConsumer(async (source) => {
+      try {
+        if (start > 0) {
+          // APPE continues the partial file on the server
+          await this.client.appendFrom(source, remotePath);
+        } else {
+          await this.client.uploadFrom(source, remotePath);
+        }
+      } finally {
+        await this.ensureConnected();
+      }
+    });
+  }
+
+  // basic-ftp drops a data connection that is quiet for longer than its timeout (30s),
+  // which a paused transfer is. The timeout is off until the transfer goes on, for a
+  // data connection opened meanwhile too.
+  holdTransfer() {
+    if (this.heldTimeout !== null) return;
+    
+    const ftp = this.client.ftp;
+    this.heldTimeout = ftp.timeout;
+    ftp.timeout = 0;
+    if (ftp.dataSocket) {
+      ftp.dataSocket.setTimeout(0);
+    }
+  }
+
+  releaseTransfer() {
+    if (this.heldTimeout === null) return;
+    
+    const ftp = this.client.ftp;
+    ftp.timeout = this.heldTimeout;
+    this.heldTimeout = null;
+    if (ftp.dataSocket) {
+      ftp.dataSocket.setTimeout(ftp.timeout);
+    }
+  }
+
+  // FXP: the target server listens (PASV), this one connects to it (PORT) and the
+  // file goes directly between them. Encrypted FXP needs SSCN or CPSV, which basic-ftp
+  // doesn't negotiate, so only plain FTP pairs are tried.
+  async transferTo(target, sourcePath, targetPath, { signal, onProgress } = {}) {
+    if (!(target instanceof FTPDriver) || this.client.ftp.hasTLS || target.client.ftp.hasTLS) {
+      return false;
+    }
+    
+    await this.ensureConnected();
+    await target.ensureConnected();
+    
+    const stopWatching = onProgress ? await target.watchSize(targetPath, onProgress) : () => {};
+    try {
+      if (signal && signal.aborted) {
+        throw new Error('Transfer cancelled');
+      }
+      await this.runServerTransfer(target, sourcePath, targetPath, signal);
+    } finally {
+      stopWatching();
+    }
+    return true;
+  }
+
+  // PORT/PASV, then RETR on this server and STOR on the target at once
+  async runServerTransfer(target, sourcePath, targetPath, signal) {
+    const pasv = await target.client.send('PASV');
+    const address = /(\d+,\d+,\d+,\d+,\d+,\d+)/.exec(pasv.message);
+    if (!address) {
+      throw new Error(`Can't parse PASV reply: ${pasv.message}`);
+    }
+    await this.client.send(`PORT ${address[1]}`);
+    
+    // Closing both sessions is the only way to stop a transfer neither of them carries
+    const abort = () => {
+      this.client.close();
+      target.client.close();
+    };
+    if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+    
+    const commands = [
+      sendServerTransferCommand(target.client, `STOR ${targetPath}`),
+      sendServerTransferCommand(this.client, `RETR ${sourcePath}`)
+    ];
+    try {
+      await Promise.all(commands);
+    } catch (error) {
+      // The other side would otherwise wait for a data connection that never comes
+      abort();
+      await Promise.allSettled(commands);
+      throw signal && signal.aborted ? new Error('Transfer cancelled') : error;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      await this.ensureConnected();
+      await target.ensureConnected();
+    }
+  }
+
+  // Calls onSize with the size of remotePath every SIZE_POLL_INTERVAL while another
+  // session writes it, until the returned function is called. The session writing the
+  // file can't send anything until it is done, so this uses a login of its own.
+  async watchSize(remotePath, onSize) {
+    let watcher;
+    try {
+      watcher = await this.reconnect();
+    } catch (error) {
+      console.warn(`Could not open a session to follow ${remotePath} (${error.message})`);
+      return () => {};
+    }
+    
+    let polling = false;
+    const timer = setInterval(() => {
+      if (polling) return;
+      polling = true;
+      watcher.size(remotePath)
+        .then(onSize, () => {})
+        .finally(() => {
+          polling = false;
+        });
+    }, SIZE_POLL_INTERVAL);
+    
+    return () => {
+      clearInterval(timer);
+      watcher.close();
+    };
+  }
+
+  // ProFTPD's mod_copy copies files and directories with SITE CPFR/CPTO
+  async copy(sourcePath, targetPath) {
+    try {
+      await this.client.send(`SITE CPFR ${sourcePath}`);
+    } catch (error) {
+      if (error.code === 500 || error.code === 502 || error.code === 504) {
+        return false;
+      }
+      throw error;
+    }
+    await this.client.send(`SITE CPTO ${targetPath}`);
+    return true;
+  }
+
+  // HASH, or the older XSHA256/XMD5/XCRC commands, for servers whose FEAT lists them
+  async checksum(remotePath) {
+    if (this.features.has('HASH')) {
+      // FEAT marks the selected algorithm with a *, e.g. "SHA-1*;SHA-256;MD5", so
+      // SHA-256 without one is offered but not selected
+      const algorithms = this.features.get('HASH').split(';');
+      if (algorithms.includes('SHA-256')) {
+        await this.client.send('OPTS HASH SHA-256');
+      }
+      const response = await this.client.send(`HASH ${remotePath}`);
+      // 213 SHA-256 0-1048576 <hex> <path>
+      const match = /^213 (\S+) \S+ ([0-9a-f]+)/im.exec(response.message);
+      if (match) {
+        return { algorithm: match[1].toUpperCase(), value: match[2].toLowerCase() };
+      }
+    }
+    
+    // 250 <hex>, sometimes followed by the path. Some servers print a CRC without its
+    // leading zeros, so it is padded back to 8 digits.
+    const commands = [
+      ['XSHA256', 'SHA-256', /^\d{3} ([0-9a-f]{64})\b/im],
+      ['XMD5', 'MD5', /^\d{3} ([0-9a-f]{32})\b/im],
+      ['XCRC', 'CRC32', /^\d{3} ([0-9a-f]{1,8})\b/im]
+    ];
+    for (const [command, algorithm, pattern] of commands) {
+      if (!this.features.has(command)) continue;
+      const response = await this.client.send(`${command} ${remotePath}`);
+      const match = pattern.exec(response.message);
+      if (match) {
+        return { algorithm, value: match[1].toLowerCase().padStart(8, '0') };
+      }
+    }
+    return null;
+  }
+
+  async mkdir(remotePath) {
+    await this.client.ensureDir(remotePath);
+  }
+
+  async rename(oldPath, newPath) {
+    await this.client.rename(oldPath, newPath);
+  }
+
+  async delete(filePath) {
+    await this.client.remove(filePath);
+  }
+
+  async rmdir(dirPath) {
+    await this.client.removeEmptyDir(dirPath);
+  }
+
+  async chmod(filePath, mode) {
+    try {
+      await this.client.send(`SITE CHMOD ${mode} ${filePath}`);
+    } catch (error) {
+      // 500/502/504 mean the server doesn't implement SITE CHMOD at all
+      if (error.code === 500 || error.code === 502 || error.code === 504) {
+        this.capabilities.chmod = false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { FTPDriver };
\ No newline at end of file
@@ -0,0 +1,58 @@
+const { ProtocolDriver } = require('./protocolDriver');
+
+const S_IFDIR = 0o040000;
+const S_IFREG = 0o100000;
+
+// Shared by the WebDAV and S3 drivers, whose clients both offer list(), stat(),
+// remove() and a ranged openDownload()
+class HttpDriver extends ProtocolDriver {
+  constructor(type, client, capabilities = {}) {
+    super(type, { chmod: false, resume: true, ...capabilities });
+    this.client = client;
+  }
+
+  close() {
+    this.client.close();
+  }
+
+  async list(remotePath) {
+    return this.client.list(remotePath);
+  }
+
+  async stat(filePath) {
+    const entry = await this.client.stat(filePath);
+    const isDirectory = entry.type === 'directory';
+    const mtime = entry.modifiedAt ? Math.floor(entry.modifiedAt.getTime() / 1000) : 0;
+    // Neither protocol has permissions, so report the usual defaults
+    return {
+      mode: isDirectory ? S_IFDIR | 0o755 : S_IFREG | 0o644,
+      uid: 0,
+      gid: 0,
+      size: entry.size,
+      atime: mtime,
+      mtime
+    };
+  }
+
+  async createReadStream(remotePath, { start = 0 } = {}) {
+    const entry = await this.client.stat(remotePath);
+    const response = await this.client.openDownload(remotePath, start);
+    const modified = response.headers['last-modified'];
+    
+    return {
+      stream: response,
+      size: entry.size,
+      // Servers that ignore Range send the whole file again
+      start: response.statusCode === 206 ? start : 0,
+      // Last-Modified is the only timestamp either protocol gives us
+      atime: modified ? new Date(modified) : undefined,
+      mtime: modified ? new Date(modified) : undefined
+    };
+  }
+
+  async delete(filePath) {
+    await this.client.remove(filePath);
+  }
+}
+
+module.exports = { HttpDriver };
\ No newline at end of file
@@ -0,0 +1,19 @@
+const { ProtocolDriver } = require('./protocolDriver');
+const { FTPDriver } = require('./ftpDriver');
+const { SFTPDriver } = require('./sftpDriver');
+const { ScpDriver } = require('./scpDriver');
+const { WebDAVDriver } = require('./webdavDriver');
+const { S3Driver } = require('./s3Driver');
+
+// Drivers ConnectionManager registers itself, keyed by the protocols they serve.
+// ScpDriver has no entry: SFTPDriver falls back to it.
+const BUILTIN_DRIVERS = {
+  ftp: FTPDriver,
+  ftps: FTPDriver,
+  sftp: SFTPDriver,
+  webdav: WebDAVDriver,
+  webdavs: WebDAVDriver,
+  s3: S3Driver
+};
+
+module.exports = { BUILTIN_DRIVERS, ProtocolDriver, FTPDriver, SFTPDriver, ScpDriver, WebDAVDriver, S3Driver };
\ No newline at end of file
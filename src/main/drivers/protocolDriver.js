@@ -0,0 +1,180 @@
+// Base class for protocol drivers. A driver wraps one open session and is all
+// ConnectionManager knows about a protocol; speed limits, progress, resuming and
+// cancelling transfers are handled once by the manager around the driver's streams.
+//
+// Drivers are registered with ConnectionManager.registerDriver() and created through
+// the static connect(config, manager). Paths are absolute remote paths, and errors are
+// thrown as they come from the server; the manager adds the "Rename failed:" context.
+class ProtocolDriver {
+  constructor(type, capabilities = {}) {
+    // Shown as the connection's protocol, which may differ from the one asked for
+    this.type = type;
+    this.capabilities = {
+      rename: true,
+      delete: true,
+      mkdir: true,
+      stat: true,
+      chmod: true,
+      // Downloads continue with the missing bytes of a partial local file
+      resume: false,
+      // Uploads continue by appending to a partial remote file
+      resumeUpload: false,
+      // Downloads can stop at an end offset, so a large file can be fetched in ranges
+      rangedReads: false,
+      // Uploads can send only what changed in a file already on the server
+      delta: false,
+      // Reading one file while writing another on the same session
+      parallelStreams: true,
+      // A file being uploaded can be read under its name before it is complete
+      partialUploads: true,
+      // Shell commands on the server (custom commands)
+      exec: false,
+      terminal: false,
+      ...capabilities
+    };
+    this.disconnectCallback = null;
+  }
+
+  // Resolves with a connected driver for config
+  static async connect() {
+    throw new Error(`${this.name} does not implement connect()`);
+  }
+
+  unsupported(operation) {
+    return new Error(`${this.type} connections do not support ${operation}`);
+  }
+
+  close() {}
+
+  // Resolves with another session to the same server, for a transfer to run on while
+  // others use this one, or null when this session can carry several at once
+  async openWorker() {
+    return null;
+  }
+
+  // The manager's callback for a session that dropped without close() being called
+  onDisconnect(callback) {
+    this.disconnectCallback = callback;
+  }
+
+  // Drivers call this once they notice the server has gone, with the error if any
+  disconnected(error = null) {
+    const callback = this.disconnectCallback;
+    this.disconnectCallback = null;
+    if (callback) {
+      callback(error);
+    }
+  }
+
+  // Entries of { name, type: 'file' | 'directory', size, modifiedAt, permissions }
+  async list() {
+    throw this.unsupported('listing directories');
+  }
+
+  // Resolves with { mode, uid, gid, size, atime, mtime }, times in seconds
+  async stat() {
+    throw this.unsupported('file information');
+  }
+
+  // Resolves with { stream, size, start, atime, mtime }. start is where the stream
+  // actually begins, which is 0 when the server can't skip ahead; the Dates are
+  // left out when the protocol doesn't report them. With capabilities.rangedReads the
+  // options may carry end, the last byte to read as in fs.createReadStream().
+  async createReadStream() {
+    throw this.unsupported('downloads');
+  }
+
+  // Resolves with a writable that finishes once the remote file is complete. The
+  // options carry start (only above 0 with capabilities.resumeUpload), the source's
+  // size (null when it isn't known) and mode, and atime/mtime Dates when timestamps should be preserved.
+  async createWriteStream() {
+    throw this.unsupported('uploads');
+  }
+
+  // Called while a transfer on this session is paused and once it goes on again, for
+  // drivers whose connection would otherwise give up on a transfer that moves no data
+  holdTransfer() {}
+
+  releaseTransfer() {}
+
+  // Resolves with a writable that takes the whole new content of remotePath and sends
+  // only what the file there lacks, for delta uploads (capabilities.delta). findParts()
+  // resolves with parts covering the new file in order as { offset, length, from },
+  // from being where the same bytes are in the file on the server now, or null;
+  // findParts(signatures) finds them against block checksums the server sent in the
+  // form computeSignatures() in delta.js gives, as rsync does. The options are those of createWriteStream() plus tempPath, the name to build the new
+  // file under before it replaces the old one. The writable's bytesSent counts what
+  // went to the server. Resolves null, before calling findParts(), when the driver
+  // can't patch the file that way, and the manager uploads all of it instead.
+  async createPatchStream() {
+    return null;
+  }
+
+  // Resolves with rsync's checksums of every blockSize bytes of a file, worked out on
+  // the server, as { length, a, b, strong } per block in order (delta.js has how), or
+  // null when the server can't, and the manager reads the file to work them out
+  async blockChecksums() {
+    return null;
+  }
+
+  // Copies a file to the server of another driver without the data passing through
+  // this machine, as FXP does. The options carry signal and onProgress(bytes), called
+  // with how much of the file has reached the target as it goes, if the driver can
+  // tell. Resolves false when the pair can't, and the manager streams the file
+  // between them instead.
+  async transferTo() {
+    return false;
+  }
+
+  // Copies a file or a directory with everything in it to another path on the same
+  // server, keeping permissions and timestamps. Resolves false when the server can't,
+  // and the manager copies the data through this machine instead.
+  async copy() {
+    return false;
+  }
+
+  // Creates any missing parent directories as well
+  async mkdir() {
+    throw this.unsupported('creating directories');
+  }
+
+  // With overwrite set, an existing file at the new path is replaced; otherwise that
+  // is up to the server
+  async rename() {
+    throw this.unsupported('renaming');
+  }
+
+  async delete() {
+    throw this.unsupported('deleting');
+  }
+
+  // Removes an empty directory
+  async rmdir() {
+    throw this.unsupported('removing directories');
+  }
+
+  // mode is an octal string such as '644'
+  async chmod() {
+    throw this.unsupported('file permissions');
+  }
+
+  // Resolves with { algorithm, value } for a checksum the server computed, the
+  // algorithm named like SHA-256 or MD5 and value in lowercase hex, or null when the
+  // server can't compute one
+  async checksum() {
+    return null;
+  }
+
+  // Runs a shell command, for drivers with capabilities.exec. Resolves with
+  // { stdout, stderr, exitCode } whatever the exit status.
+  async exec() {
+    throw this.unsupported('remote commands');
+  }
+
+  // Resolves with an interactive shell stream, for drivers with capabilities.terminal
+  async openShell() {
+    throw this.unsupported('terminals');
+  }
+}
+
+module.exports = { ProtocolDriver };
\ No newline at end of file
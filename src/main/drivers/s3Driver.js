@@ -0,0 +1,57 @@
+const { HttpDriver } = require('./httpDriver');
+const { S3Client } = require('../s3Client');
+
+// Multipart uploads could be continued, but only from the same session's upload
+// id, so uploads always start over
+class S3Driver extends HttpDriver {
+  constructor(client) {
+    // An object only appears once its upload is complete
+    super('s3', client, { partialUploads: false });
+  }
+
+  static async connect(config) {
+    const client = new S3Client(config);
+    try {
+      await client.connect();
+    } catch (error) {
+      client.close();
+      throw new Error(`S3 connection failed: ${error.message}`);
+    }
+    return new S3Driver(client);
+  }
+
+  async createWriteStream(remotePath, { size } = {}) {
+    return this.client.createUploadStream(remotePath, size);
+  }
+
+  // Prefixes need no parents, so only the folder marker (or bucket) itself is created
+  async mkdir(remotePath) {
+    await this.client.mkdir(remotePath);
+  }
+
+  async rename(oldPath, newPath) {
+    await this.client.rename(oldPath, newPath);
+  }
+
+  // CopyObject runs inside S3 and keeps the object's metadata
+  async copy(sourcePath, targetPath) {
+    await this.client.copy(sourcePath, targetPath);
+    return true;
+  }
+
+  // A prefix without a marker object goes away with its last object, so a directory
+  // that no longer exists has already been removed
+  async rmdir(remotePath) {
+    try {
+      await this.client.remove(remotePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async chmod() {
+    throw new Error('S3 objects have no file permissions');
+  }
+}
+
+module.exports = { S3Driver };
\ No newline at end of file
@@ -0,0 +1,110 @@
+const { ProtocolDriver } = require('./protocolDriver');
+const { ScpSession } = require('../scpSession');
+const { writableFromConsumer } = require('./streams');
+
+// Interactive shell on an SSH session, shared with SFTPDriver
+function openShell(sshClient) {
+  return new Promise((resolve, reject) => {
+    sshClient.shell((err, stream) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(stream);
+      }
+    });
+  });
+}
+
+// Tell the manager when the SSH session drops. A keepalive timeout or a reset
+// connection arrives as an error just before the close.
+function watchSshClient(driver, sshClient) {
+  let lastError = null;
+  sshClient.on('error', (error) => {
+    lastError = error;
+  });
+  sshClient.on('close', () => driver.disconnected(lastError));
+}
+
+// SSH sessions whose server has no SFTP subsystem. scp has no offsets, so an
+// interrupted transfer always starts over.
+class ScpDriver extends ProtocolDriver {
+  constructor(sshClient) {
+    super('scp', { exec: true, terminal: true });
+    this.client = sshClient;
+    this.scp = new ScpSession(sshClient);
+    watchSshClient(this, sshClient);
+  }
+
+  close() {
+    this.client.end();
+  }
+
+  async list(remotePath) {
+    return this.scp.list(remotePath);
+  }
+
+  async stat(filePath) {
+    return this.scp.stat(filePath);
+  }
+
+  async createReadStream(remotePath) {
+    const download = await this.scp.openDownload(remotePath);
+    // scp -p sends the remote timestamps ahead of the file
+    return {
+      stream: download.stream,
+      size: download.size,
+      start: 0,
+      atime: download.mtime ? new Date(download.atime * 1000) : undefined,
+      mtime: download.mtime ? new Date(download.mtime * 1000) : undefined
+    };
+  }
+
+  async createWriteStream(remotePath, { size, mode, atime, mtime } = {}) {
+    const fileInfo = { size, mode };
+    if (mtime) {
+      fileInfo.mtime = mtime.getTime() / 1000;
+      fileInfo.atime = atime.getTime() / 1000;
+    }
+    
+    return writableFromConsumer(source => this.scp.upload(remotePath, source, fileInfo));
+  }
+
+  async copy(sourcePath, targetPath) {
+    await this.scp.copy(sourcePath, targetPath);
+    return true;
+  }
+
+  async checksum(remotePath) {
+    return this.scp.checksum(remotePath);
+  }
+
+  async exec(command) {
+    return this.scp.exec(command);
+  }
+
+  async mkdir(remotePath) {
+    await this.scp.mkdir(remotePath);
+  }
+
+  async rename(oldPath, newPath) {
+    await this.scp.rename(oldPath, newPath);
+  }
+
+  async delete(filePath) {
+    await this.scp.remove(filePath);
+  }
+
+  async rmdir(dirPath) {
+    await this.scp.rmdir(dirPath);
+  }
+
+  async chmod(filePath, mode) {
+    await this.scp.chmod(filePath, mode);
+  }
+
+  async openShell() {
+    return openShell(this.client);
+  }
+}
+
+module.exports = { ScpDriver, openShell, watchSshClient };
\ No newline at end of file
@@ -0,0 +1,421 @@
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { ProtocolDriver } = require('./protocolDriver');
+const { ScpSession } = require('../scpSession');
+const { ScpDriver, openShell, watchSshClient } = require('./scpDriver');
+const { writableFromConsumer, createRunReader } = require('./streams');
+
+class SFTPDriver extends ProtocolDriver {
+  // A worker is an extra SFTP channel on the SSH connection of the main driver, which
+  // looks after the connection itself
+  constructor(sshClient, sftp, { worker = false } = {}) {
+    super('sftp', { resume: true, resumeUpload: true, rangedReads: true, delta: true, exec: true, terminal: true });
+    this.client = sshClient;
+    this.sftp = sftp;
+    this.worker = worker;
+    // Shell commands for what SFTP can't do, such as copying on the server
+    this.shell = new ScpSession(sshClient);
+    if (!worker) {
+      watchSshClient(this, sshClient);
+    }
+    // ssh2 never answers SFTP requests made after the channel has closed, and a
+    // stream's closing request sent while it shuts down is left waiting too
+    this.sessionClosed = false;
+    sftp.on('close', () => {
+      this.sessionClosed = true;
+      this.failPendingRequests();
+    });
+  }
+
+  static async connect(config, manager) {
+    const sshClient = await manager.openSshChain(config);
+    
+    return new Promise((resolve) => {
+      sshClient.sftp((err, sftp) => {
+        if (err) {
+          // Servers without sftp-server can still be used through scp and shell commands
+          console.warn(`SFTP subsystem unavailable (${err.message}), falling back to SCP`);
+          resolve(new ScpDriver(sshClient));
+          return;
+        }
+        
+        resolve(new SFTPDriver(sshClient, sftp));
+      });
+    });
+  }
+
+  // Promise wrapper for the callback-style sftp methods
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      if (this.sessionClosed) {
+        reject(new Error('Connection closed'));
+        return;
+      }
+      this.sftp[method](...args, (err, result) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  }
+
+  close() {
+    if (this.worker) {
+      this.sessionClosed = true;
+      this.sftp.end();
+    } else {
+      this.client.end();
+    }
+  }
+
+  async openWorker() {
+    const sftp = await new Promise((resolve, reject) => {
+      this.client.sftp((err, channel) => (err ? reject(err) : resolve(channel)));
+    });
+    return new SFTPDriver(this.client, sftp, { worker: true });
+  }
+
+  failPendingRequests() {
+    const requests = this.sftp._requests || {};
+    this.sftp._requests = {};
+    Object.values(requests).forEach(request => {
+      if (request && request.cb) {
+        request.cb(new Error('Connection closed'));
+      }
+    });
+  }
+
+  // A stream still waiting on the server when the channel closes would wait forever
+  failOnClose(stream) {
+    const onClose = () => {
+      stream.destroy(new Error('Connection closed'));
+      this.failPendingRequests();
+    };
+    this.sftp.once('close', onClose);
+    stream.once('close', () => this.sftp.removeListener('close', onClose));
+    return stream;
+  }
+
+  async list(remotePath) {
+    const list = await this.call('readdir', remotePath);
+    return list.map(item => ({
+      name: item.filename,
+      type: item.attrs.isDirectory() ? 'directory' : 'file',
+      size: item.attrs.size,
+      modifiedAt: new Date(item.attrs.mtime * 1000),
+      permissions: item.attrs.mode
+    }));
+  }
+
+  async stat(filePath) {
+    return this.call('stat', filePath);
+  }
+
+  // Streams rather than fastGet/fastPut so transfers can be held and aborted
+  async createReadStream(remotePath, { start = 0, end } = {}) {
+    const stats = await this.call('stat', remotePath);
+    return {
+      stream: this.failOnClose(this.sftp.createReadStream(remotePath, { start, end })),
+      size: stats.size,
+      start,
+      atime: new Date(stats.atime * 1000),
+      mtime: new Date(stats.mtime * 1000)
+    };
+  }
+
+  async createWriteStream(remotePath, { start = 0, atime, mtime } = {}) {
+    return writableFromConsumer(async (source) => {
+      try {
+        // r+ keeps the bytes already on the server instead of truncating them
+        await pipeline(source, this.failOnClose(this.sftp.createWriteStream(remotePath, start > 0 ? { flags: 'r+', start } : {})));
+      } catch (err) {
+        let message = `${err.message}${err.code !== undefined ? ` (code: ${err.code})` : ''}`;
+        if (err.code === 3 || err.message.includes('Permission denied')) {
+          message = `Permission denied: Cannot write to ${remotePath}`;
+        } else if (err.code === 2 || err.message.includes('No such file')) {
+          message = `Remote directory does not exist: ${path.dirname(remotePath)}`;
+        }
+        // The SFTP status code tells the manager the server refused the write
+        throw Object.assign(new Error(message), { code: err.code });
+      }
+      
+      if (mtime) {
+        try {
+          await this.call('utimes', remotePath, atime.getTime() / 1000, mtime.getTime() / 1000);
+          console.log('Timestamps preserved on remote file');
+        } catch (tsErr) {
+          console.error('Failed to preserve timestamps:', tsErr);
+        }
+      }
+    });
+  }
+
+  // With rsync on the server, it takes the file and rebuilds it itself. Otherwise the
+  // new file is put together under tempPath, then renamed over the old one: with the
+  // copy-data extension the server copies the blocks it has out of the old file, and
+  // python3 on the server does the same. Failing both, tempPath starts as a copy the
+  // server makes with cp, which is patched and so only keeps the blocks that stay where
+  // they are. Resolves null when it can't even make that copy.
+  async createPatchStream(remotePath, findParts, options = {}) {
+    const rsync = await this.createRsyncStream(remotePath, findParts, options);
+    if (rsync) return rsync;
+    
+    const { size, tempPath, atime, mtime } = options;
+    // ssh2 only lists the extensions the server announced
+    const copyRanges = this.sftp._extensions['copy-data'] === '1';
+    const rebuild = !copyRanges && await this.shell.hasPython();
+    // A directory the copy can't be made in leaves the full upload
+    if (!copyRanges && !rebuild && !await this.copy(remotePath, tempPath).catch(() => false)) return null;
+    
+    let base = null;
+    let target = null;
+    const closeFiles = () => Promise.all([base, target]
+      .filter(handle => handle)
+      .map(handle => this.call('close', handle).catch(() => {})));
+    let parts;
+    let mode;
+    try {
+      parts = await findParts();
+      mode = (await this.call('stat', remotePath)).mode & 0o7777;
+      if (copyRanges) {
+        base = await this.call('open', remotePath, 'r');
+      }
+      if (rebuild) {
+        await this.shell.copyBlocks(remotePath, tempPath, size, parts.filter(part => part.from !== null));
+      }
+      target = await this.call('open', tempPath, copyRanges ? 'w' : 'r+', { mode });
+    } catch (error) {
+      await closeFiles();
+      await this.call('unlink', tempPath).catch(() => {});
+      throw error;
+    }
+    
+    const moved = parts.filter(part => part.from !== null && part.from !== part.offset);
+    if (!copyRanges && !rebuild && moved.length) {
+      const resent = moved.reduce((sum, part) => sum + part.length, 0);
+      console.log(`No copy-data extension or python3 on the server to move blocks in ${remotePath}; ${resent} bytes found elsewhere in it are sent again`);
+    }
+    
+    const stream = writableFromConsumer(async (source) => {
+      const read = createRunReader(source);
+      let failure = null;
+      try {
+        for (const part of parts) {
+          const kept = copyRanges || rebuild ? part.from !== null : part.from === part.offset;
+          if (kept) {
+            // The server has these bytes, so they are only read past
+            await read(part.length, () => {});
+            if (copyRanges) {
+              await this.call('ext_copy_data', base, part.from, part.length, target, part.offset);
+            }
+            continue;
+          }
+          
+          let position = part.offset;
+          await read(part.length, async (piece) => {
+            await this.call('write', target, piece, 0, piece.length, position);
+            position += piece.length;
+            stream.bytesSent += piece.length;
+          });
+        }
+        if (!copyRanges && !rebuild) {
+          await this.call('fsetstat', target, { size });
+        }
+      } catch (error) {
+        failure = error;
+      }
+      
+      await closeFiles();
+      if (failure) {
+        await this.call('unlink', tempPath).catch(() => {});
+        throw failure;
+      }
+      
+      if (copyRanges || rebuild) {
+        // open() only applies the mode to new files, and the umask may have trimmed it
+        await this.call('chmod', tempPath, mode);
+      }
+      if (mtime || (!copyRanges && !rebuild)) {
+        // cp kept the old file's times; the new one gets the local file's, or now
+        const [newAtime, newMtime] = mtime ? [atime, mtime] : [new Date(), new Date()];
+        try {
+          await this.call('utimes', tempPath, newAtime.getTime() / 1000, newMtime.getTime() / 1000);
+        } catch (tsErr) {
+          console.error('Failed to preserve timestamps:', tsErr);
+        }
+      }
+      await this.rename(tempPath, remotePath, { overwrite: true });
+    });
+    stream.bytesSent = 0;
+    return stream;
+  }
+
+  // rsync on the server receives the file: it sends the checksums of its blocks, and
+  // gets back the blocks to keep and the bytes it lacks. Resolves null when the server
+  // has no rsync or it can't be started, leaving the other ways.
+  async createRsyncStream(remotePath, findParts, { size, mode, mtime }) {
+    let rsync = null;
+    let signatures;
+    try {
+      rsync = await this.shell.openRsync(remotePath, { preserveTimes: Boolean(mtime) });
+      if (!rsync) return null;
+      // rsync's file list needs a time even when it isn't kept
+      signatures = await rsync.start({
+        name: path.posix.basename(remotePath),
+        size,
+        mode: 0o100000 | (mode & 0o7777),
+        mtime: mtime || new Date()
+      });
+    } catch (error) {
+      if (rsync) rsync.close();
+      console.log(`rsync on the server can't take ${remotePath}, patching it over SFTP: ${error.message}`);
+      return null;
+    }
+    
+    let parts;
+    try {
+      parts = await findParts(signatures);
+    } catch (error) {
+      rsync.close();
+      throw error;
+    }
+    
+    const stream = writableFromConsumer(async (source) => {
+      try {
+        await rsync.send(parts, createRunReader(source), (length) => {
+          stream.bytesSent += length;
+        });
+        await rsync.finish();
+      } catch (error) {
+        rsync.close();
+        throw error;
+      }
+    });
+    stream.bytesSent = 0;
+    return stream;
+  }
+
+  // Rsync's block checksums from python3 over an exec channel; null when the server
+  // has no exec channel or no python3
+  async blockChecksums(remotePath, blockSize) {
+    try {
+      return await this.shell.blockChecksums(remotePath, blockSize);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The copy-data extension copies a file inside the server; otherwise cp -a over an
+  // exec channel, which handles directories too
+  async copy(sourcePath, targetPath, { isDirectory = false } = {}) {
+    if (!isDirectory && await this.copyData(sourcePath, targetPath)) {
+      return true;
+    }
+    
+    try {
+      await this.shell.copy(sourcePath, targetPath);
+    } catch (error) {
+      // No exec channel, or no cp (127); any other status is the copy itself failing
+      if (typeof error.exitCode !== 'number' || error.exitCode === 127) {
+        return false;
+      }
+      throw error;
+    }
+    // A server that runs sftp-server on every channel accepts the command without running it
+    return this.call('stat', targetPath).then(() => true, () => false);
+  }
+
+  // Resolves false when the server doesn't offer copy-data, before the target is
+  // touched, so an existing target stays as it is for the fallback
+  async copyData(sourcePath, targetPath) {
+    // ssh2 only lists the extensions the server announced
+    if (this.sftp._extensions['copy-data'] !== '1') return false;
+    
+    const stats = await this.call('stat', sourcePath);
+    const source = await this.call('open', sourcePath, 'r');
+    let target = null;
+    try {
+      target = await this.call('open', targetPath, 'w', { mode: stats.mode & 0o7777 });
+      // A length of 0 copies up to the end of the source
+      await this.call('ext_copy_data', source, 0, 0, target, 0);
+    } finally {
+      await this.call('close', source).catch(() => {});
+      if (target) {
+        await this.call('close', target).catch(() => {});
+      }
+    }
+    
+    // open() only applies the mode to new files, and the umask may have trimmed it
+    await this.call('chmod', targetPath, stats.mode & 0o7777);
+    await this.call('utimes', targetPath, stats.atime, stats.mtime);
+    return true;
+  }
+
+  async checksum(remotePath) {
+    return this.shell.checksum(remotePath);
+  }
+
+  async exec(command) {
+    return this.shell.exec(command);
+  }
+
+  async mkdir(remotePath) {
+    const pathParts = remotePath.split('/').filter(p => p);
+    let currentPath = remotePath.startsWith('/') ? '/' : '';
+    
+    for (const part of pathParts) {
+      currentPath = path.join(currentPath, part);
+      
+      const stats = await this.call('stat', currentPath).catch(() => null);
+      if (stats && stats.isDirectory()) {
+        continue;
+      }
+      
+      try {
+        await this.call('mkdir', currentPath);
+      } catch (mkdirErr) {
+        // 4 = file already exists
+        if (mkdirErr.code !== 4) throw mkdirErr;
+      }
+    }
+  }
+
+  // SFTP's RENAME fails when the new path exists; posix-rename@openssh.com replaces it
+  async rename(oldPath, newPath, { overwrite = false } = {}) {
+    if (overwrite) {
+      const renamed = await new Promise((resolve, reject) => {
+        try {
+          this.sftp.ext_openssh_rename(oldPath, newPath, err => (err ? reject(err) : resolve(true)));
+        } catch (error) {
+          // ssh2 throws before sending anything when the server didn't announce the extension
+          resolve(false);
+        }
+      });
+      if (renamed) return;
+      
+      // Without it the old file has to go first
+      await this.call('unlink', newPath).catch(() => {});
+    }
+    await this.call('rename', oldPath, newPath);
+  }
+
+  async delete(filePath) {
+    await this.call('unlink', filePath);
+  }
+
+  async rmdir(dirPath) {
+    await this.call('rmdir', dirPath);
+  }
+
+  async chmod(filePath, mode) {
+    await this.call('chmod', filePath, parseInt(mode, 8));
+  }
+
+  async openShell() {
+    return openShell(this.client);
+  }
+}
+
+module.exports = { SFTPDriver };
\ No newline at end of file
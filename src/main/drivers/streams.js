@@ -0,0 +1,110 @@
+const { PassThrough, Readable, Writable } = require('stream');
+
+// Adapt an API that writes into a stream it is given, such as basic-ftp's
+// downloadTo(), into a readable. The readable only closes once the call has
+// settled, so the session is free again by the time a failed transfer returns.
+function readableFromProducer(produce) {
+  let done = null;
+  const stream = new PassThrough({
+    destroy(error, callback) {
+      done.then(() => callback(error), () => callback(error));
+    }
+  });
+  
+  done = Promise.resolve().then(() => produce(stream));
+  done.catch(error => stream.destroy(error));
+  return stream;
+}
+
+// Adapt an API that reads from a stream it is given (basic-ftp's uploadFrom(), scp,
+// HTTP request bodies) into a writable. finish waits for the call to resolve, and a
+// destroyed writable ends the call by destroying its source.
+function writableFromConsumer(consume) {
+  const source = new PassThrough();
+  // Consumers may destroy their source with the error they fail with, which done reports
+  source.on('error', () => {});
+  const done = Promise.resolve().then(() => consume(source));
+  
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      if (source.write(chunk, encoding)) {
+        callback();
+      } else {
+        source.once('drain', callback);
+      }
+    },
+    final(callback) {
+      source.end();
+      done.then(() => callback(), callback);
+    },
+    destroy(error, callback) {
+      source.destroy(error);
+      done.then(() => callback(error), () => callback(error));
+    }
+  });
+  
+  done.catch(error => stream.destroy(error));
+  return stream;
+}
+
+// The first length bytes of source. Once they are in, stop() ends whatever feeds
+// source and source is destroyed; the result only closes after source has.
+function takeBytes(source, length, stop) {
+  let remaining = length;
+  const stream = new Readable({
+    read() {
+      source.resume();
+    },
+    destroy(error, callback) {
+      source.destroy();
+      if (source.closed) {
+        callback(error);
+      } else {
+        source.once('close', () => callback(error));
+      }
+    }
+  });
+  
+  source.on('data', (chunk) => {
+    if (remaining <= 0) return;
+    const part = chunk.subarray(0, remaining);
+    remaining -= part.length;
+    if (!stream.push(part)) {
+      source.pause();
+    }
+    if (remaining === 0) {
+      stream.push(null);
+      stop();
+      source.destroy();
+    }
+  });
+  source.on('end', () => stream.push(null));
+  source.on('error', error => stream.destroy(error));
+  return stream;
+}
+
+// Reads a readable in consecutive runs: read(length, onData) hands the next length
+// bytes to onData piece by piece, and rejects if the stream ends first
+function createRunReader(stream) {
+  const chunks = stream[Symbol.asyncIterator]();
+  let pending = Buffer.alloc(0);
+  
+  return async (length, onData) => {
+    let remaining = length;
+    while (remaining > 0) {
+      if (!pending.length) {
+        const { value, done } = await chunks.next();
+        if (done) {
+          throw new Error('The file ended before all of it was sent');
+        }
+        pending = value;
+      }
+      const piece = pending.subarray(0, remaining);
+      pending = pending.subarray(piece.length);
+      remaining -= piece.length;
+      await onData(piece);
+    }
+  };
+}
+
+module.exports = { readableFromProducer, writableFromConsumer, takeBytes, createRunReader };
\ No newline at end of file
@@ -0,0 +1,69 @@
+const { HttpDriver } = require('./httpDriver');
+const { WebDAVClient } = require('../webdavClient');
+const { writableFromConsumer } = require('./streams');
+
+// PUT always replaces the whole resource, so only downloads can resume
+class WebDAVDriver extends HttpDriver {
+  constructor(client) {
+    super('webdav', client);
+  }
+
+  static async connect(config) {
+    const client = new WebDAVClient(config);
+    try {
+      await client.connect();
+    } catch (error) {
+      client.close();
+      throw new Error(`WebDAV connection failed: ${error.message}`);
+    }
+    return new WebDAVDriver(client);
+  }
+
+  async createWriteStream(remotePath, { size } = {}) {
+    return writableFromConsumer(source => this.client.upload(remotePath, source, size));
+  }
+
+  // MKCOL creates one level, and answers 405 when the collection already exists
+  async mkdir(remotePath) {
+    let currentPath = '';
+    for (const part of remotePath.split('/').filter(p => p)) {
+      currentPath = `${currentPath}/${part}`;
+      try {
+        await this.client.mkdir(currentPath);
+      } catch (error) {
+        if (error.status !== 405) throw error;
+      }
+    }
+  }
+
+  async rename(oldPath, newPath) {
+    await this.client.move(oldPath, newPath);
+  }
+
+  async copy(sourcePath, targetPath) {
+    try {
+      await this.client.copy(sourcePath, targetPath);
+    } catch (error) {
+      // Servers without COPY answer 405 Method Not Allowed or 501 Not Implemented
+      if (error.status === 405 || error.status === 501) {
+        return false;
+      }
+      throw error;
+    }
+    return true;
+  }
+
+  // DELETE takes a collection with everything still in it, so check it is empty first
+  async rmdir(remotePath) {
+    if ((await this.client.list(remotePath)).length > 0) {
+      throw new Error(`${remotePath}: directory not empty`);
+    }
+    await this.client.remove(remotePath);
+  }
+
+  async chmod() {
+    throw new Error('WebDAV has no file permissions');
+  }
+}
+
+module.exports = { WebDAVDriver };
\ No newline at end of file
@@ -1,10 +1,17 @@
-const { app, BrowserWindow, ipcMain, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, dialog } = require('electron');
 const path = require('path');
 const { Client } = require('ssh2');
 const { ConnectionManager } = require('./connectionManager');
 const { ProfileManager } = require('./profileManager');
 const { BookmarksManager } = require('./bookmarksManager');
 const { SSHKeyManager } = require('./sshKeyManager');
+const { TransferRegistry } = require('./transferRegistry');
+const { KnownHostsManager } = require('./knownHostsManager');
+const { ProxyError } = require('./proxyClient');
+const { SSHConfigManager } = require('./sshConfigManager');
+const { CustomCommandsManager, expandCommands } = require('./customCommandsManager');
+const { WebDAVClient } = require('./webdavClient');
+const { S3Client } = require('./s3Client');
 const { createAppMenu } = require('./menu');
 
 let mainWindow;
@@ -12,6 +19,10 @@ let connectionManager;
 let profileManager;
 let bookmarksManager;
 let sshKeyManager;
+let transferRegistry;
+let knownHostsManager;
+let sshConfigManager;
+let customCommandsManager;
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -39,13 +50,75 @@ function createWindow() {
   });
 }
 
+// Ask the user whether to trust a host key seen for the first time, or a key of a type
+// known_hosts has none of for a host it already trusts
+async function confirmHostKey(info) {
+  const hostName = info.port && info.port !== 22 ? `${info.host}:${info.port}` : info.host;
+  const knownKeyTypes = info.knownKeyTypes || [];
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    title: knownKeyTypes.length > 0 ? 'New Host Key Type' : 'Unknown Host Key',
+    message: knownKeyTypes.length > 0
+      ? `Host '${hostName}' is trusted with a ${knownKeyTypes.join(', ')} key, but offered a ${info.keyType} key instead.`
+      : `The authenticity of host '${hostName}' can't be established.`,
+    detail: `${info.keyType} key fingerprint is ${info.fingerprint}.\n\n` +
+      'Only trust this key if the fingerprint matches the one provided by the server administrator. ' +
+      'It will be saved to ~/.ssh/known_hosts.',
+    buttons: ['Cancel', 'Trust and Connect'],
+    defaultId: 0,
+    cancelId: 0
+  });
+  return response === 1;
+}
+
+// Keyboard-interactive rounds waiting for the user's answers, keyed by request id
+const pendingAuthPrompts = new Map();
+let authPromptCounter = 0;
+
+// Show keyboard-interactive prompts (OTP, Duo, ...) in the renderer and wait for the answers
+function promptKeyboardInteractive(request) {
+  if (!mainWindow) {
+    return Promise.resolve(null);
+  }
+  
+  const requestId = ++authPromptCounter;
+  return new Promise((resolve) => {
+    pendingAuthPrompts.set(requestId, resolve);
+    mainWindow.webContents.send('keyboard-interactive-prompt', { requestId, ...request });
+  });
+}
+
+ipcMain.on('keyboard-interactive-response', (event, requestId, answers) => {
+  const resolve = pendingAuthPrompts.get(requestId);
+  if (resolve) {
+    pendingAuthPrompts.delete(requestId);
+    resolve(Array.isArray(answers) ? answers : null);
+  }
+});
+
+// Let the renderer show a dropped connection being brought back in its tab
+function onConnectionState(connectionId, state, detail) {
+  if (mainWindow) {
+    mainWindow.webContents.send('connection-state', connectionId, state, detail);
+  }
+}
+
 app.commandLine.appendSwitch('no-sandbox');
 
 app.whenReady().then(() => {
-  connectionManager = new ConnectionManager();
+  knownHostsManager = new KnownHostsManager();
+  connectionManager = new ConnectionManager({
+    knownHosts: knownHostsManager,
+    confirmHostKey,
+    promptKeyboardInteractive,
+    onConnectionState
+  });
   profileManager = new ProfileManager();
   bookmarksManager = new BookmarksManager();
   sshKeyManager = new SSHKeyManager();
+  sshConfigManager = new SSHConfigManager();
+  customCommandsManager = new CustomCommandsManager();
+  transferRegistry = new TransferRegistry();
   createWindow();
 
   app.on('activate', () => {
@@ -108,22 +181,96 @@ ipcMain.handle('upload-file', async (event, connectionId, localPath, remotePath)
   }
 });
 
-ipcMain.handle('upload-file-with-progress', async (event, connectionId, localPath, remotePath, transferId) => {
+ipcMain.handle('upload-file-with-progress', async (event, connectionId, localPath, remotePath, transferId, options = {}) => {
+  transferRegistry.register(transferId);
   try {
-    await connectionManager.uploadFile(connectionId, localPath, remotePath, (progress) => {
+    let delta = null;
+    const verification = await connectionManager.uploadFile(connectionId, localPath, remotePath, (progress) => {
       event.sender.send('transfer-progress', transferId, progress);
+    }, {
+      resume: !!options.resume,
+      verify: !!options.verify,
+      onDelta: (result) => {
+        delta = result;
+      },
+      ...transferRegistry.getTransferOptions(transferId)
     });
-    return { success: true };
+    return { success: true, verification, delta };
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, cancelled: transferRegistry.isCancelled(transferId), interrupted: connectionManager.isInterrupted(connectionId) };
+  } finally {
+    transferRegistry.unregister(transferId);
   }
 });
 
-ipcMain.handle('download-file-with-progress', async (event, connectionId, remotePath, localPath, transferId) => {
+ipcMain.handle('download-file-with-progress', async (event, connectionId, remotePath, localPath, transferId, options = {}) => {
+  transferRegistry.register(transferId);
   try {
-    await connectionManager.downloadFile(connectionId, remotePath, localPath, (progress) => {
+    const verification = await connectionManager.downloadFile(connectionId, remotePath, localPath, (progress) => {
       event.sender.send('transfer-progress', transferId, progress);
+    }, {
+      resume: !!options.resume,
+      verify: !!options.verify,
+      segments: options.segments || 0,
+      segmentThreshold: options.segmentThreshold || 0,
+      ...transferRegistry.getTransferOptions(transferId)
     });
+    return { success: true, verification };
+  } catch (error) {
+    return { success: false, error: error.message, cancelled: transferRegistry.isCancelled(transferId), interrupted: connectionManager.isInterrupted(connectionId) };
+  } finally {
+    transferRegistry.unregister(transferId);
+  }
+});
+
+ipcMain.handle('copy-between-connections', async (event, sourceId, sourcePath, targetId, targetPath, transferId, options = {}) => {
+  transferRegistry.register(transferId);
+  try {
+    await connectionManager.transferBetween(sourceId, sourcePath, targetId, targetPath, (progress) => {
+      event.sender.send('transfer-progress', transferId, progress);
+    }, { resume: !!options.resume, ...transferRegistry.getTransferOptions(transferId) });
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      cancelled: transferRegistry.isCancelled(transferId),
+      interrupted: connectionManager.isInterrupted(sourceId) || connectionManager.isInterrupted(targetId)
+    };
+  } finally {
+    transferRegistry.unregister(transferId);
+  }
+});
+
+ipcMain.handle('copy-remote', async (event, connectionId, sourcePath, targetPath, transferId) => {
+  transferRegistry.register(transferId);
+  try {
+    await connectionManager.copyRemote(connectionId, sourcePath, targetPath, (progress) => {
+      event.sender.send('transfer-progress', transferId, progress);
+    }, transferRegistry.getTransferOptions(transferId));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message, cancelled: transferRegistry.isCancelled(transferId), interrupted: connectionManager.isInterrupted(connectionId) };
+  } finally {
+    transferRegistry.unregister(transferId);
+  }
+});
+
+ipcMain.on('pause-transfer', (event, transferId) => {
+  transferRegistry.pause(transferId);
+});
+
+ipcMain.on('resume-transfer', (event, transferId) => {
+  transferRegistry.resume(transferId);
+});
+
+ipcMain.on('cancel-transfer', (event, transferId) => {
+  transferRegistry.cancel(transferId);
+});
+
+ipcMain.handle('discard-partial-upload', async (event, connectionId, remotePath) => {
+  try {
+    await connectionManager.discardPartialUpload(connectionId, remotePath);
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -176,8 +323,66 @@ ipcMain.handle('get-recent-profiles', async () => {
   }
 });
 
+// failedAt tells the renderer whether a failed test got past the proxy
+function testFailure(error) {
+  return {
+    success: false,
+    error: error.message,
+    failedAt: error instanceof ProxyError ? error.stage : 'target'
+  };
+}
+
+ipcMain.handle('test-ftp-connection', async (event, config) => {
+  let client;
+  try {
+    client = await connectionManager.openFtpClient(config);
+    return { success: true, message: 'Connection successful!' };
+  } catch (error) {
+    console.error('FTP test error:', error);
+    return testFailure(error);
+  } finally {
+    if (client) client.close();
+  }
+});
+
+ipcMain.handle('test-webdav-connection', async (event, config) => {
+  const client = new WebDAVClient(config);
+  try {
+    await client.connect();
+    return { success: true, message: 'Connection successful!' };
+  } catch (error) {
+    console.error('WebDAV test error:', error);
+    return testFailure(error);
+  } finally {
+    client.close();
+  }
+});
+
+ipcMain.handle('test-s3-connection', async (event, config) => {
+  const client = new S3Client(config);
+  try {
+    await client.connect();
+    return { success: true, message: 'Connection successful!' };
+  } catch (error) {
+    console.error('S3 test error:', error);
+    return testFailure(error);
+  } finally {
+    client.close();
+  }
+});
+
 ipcMain.handle('test-ssh-connection', async (event, config) => {
+  let jumpChain;
+  try {
+    jumpChain = await connectionManager.openJumpChain(config);
+  } catch (error) {
+    return testFailure(error);
+  }
+  
   const conn = new Client();
+  const { hostVerifier, getRejection } = knownHostsManager.createHostVerifier(config.host, config.port || 22, confirmHostKey);
+  const serverHostKey = await connectionManager.getHostKeyAlgorithms(config);
+  const { onKeyboardInteractive, wasCancelled } = connectionManager.createKeyboardInteractiveHandler(config);
   
   return new Promise((resolve) => {
     let authMethods = [];
@@ -190,16 +395,13 @@ ipcMain.handle('test-ssh-connection', async (event, config) => {
     
     conn.on('error', (err) => {
       console.error('SSH test error:', err);
-      resolve({ success: false, error: err.message, authMethods });
+      const error = wasCancelled() ? 'Authentication cancelled' : getRejection() || err.message;
+      resolve({ success: false, error, failedAt: 'target', authMethods });
     });
     
-    conn.on('keyboard-interactive', (name, instructions, instructionsLang, prompts, finish) => {
+    conn.on('keyboard-interactive', (...args) => {
       console.log('SSH test: Keyboard-interactive auth requested');
-      if (config.password && prompts.length > 0) {
-        finish([config.password]);
-      } else {
-        finish([]);
-      }
+      onKeyboardInteractive(...args);
     });
     
     // Log available auth methods
@@ -207,128 +409,90 @@ ipcMain.handle('test-ssh-connection', async (event, config) => {
       console.log('SSH test: continue event');
     });
     
+    conn.on('close', () => {
+      jumpChain.jumpClients.forEach(client => client.end());
+    });
+    
     const connectConfig = {
       host: config.host,
       port: config.port || 22,
       username: config.username,
       password: config.password,
       tryKeyboard: true,
+      hostVerifier,
+      algorithms: { serverHostKey },
       debug: (msg) => console.log('SSH2 test debug:', msg),
-      readyTimeout: 10000
+      // Leaves time for host key and 2FA prompts
+      readyTimeout: 120000
     };
     
+    if (jumpChain.sock) {
+      connectConfig.sock = jumpChain.sock;
+    }
+    
+    if (config.authType === 'agent') {
+      try {
+        Object.assign(connectConfig, connectionManager.getAgentOptions(config));
+      } catch (err) {
+        jumpChain.jumpClients.forEach(client => client.end());
+        resolve({ success: false, error: err.message, authMethods });
+        return;
+      }
+    }
+    
     console.log('SSH test: Attempting connection to', config.host, 'as', config.username);
     conn.connect(connectConfig);
   });
 });
 
-let terminalClient = null;
-let terminalStream = null;
+let terminal = null;
 
-ipcMain.handle('create-terminal', async (event, config) => {
+ipcMain.handle('create-terminal', async (event, connectionId) => {
   try {
     // Close existing terminal if any
-    if (terminalClient) {
-      terminalClient.end();
-      terminalClient = null;
-      terminalStream = null;
+    if (terminal) {
+      terminal.close();
+      terminal = null;
     }
     
-    const sshClient = new Client();
-    terminalClient = sshClient;
+    const shell = await connectionManager.createTerminal(connectionId);
+    terminal = shell;
     
-    return new Promise((resolve) => {
-      sshClient.on('ready', () => {
-        sshClient.shell((err, stream) => {
-          if (err) {
-            resolve({ success: false, error: err.message });
-            return;
-          }
-          
-          terminalStream = stream;
-          
-          stream.on('data', (data) => {
-            event.sender.send('terminal-data', data.toString());
-          });
-          
-          stream.on('close', () => {
-            event.sender.send('terminal-closed');
-            terminalStream = null;
-          });
-          
-          resolve({ success: true });
-        });
-      });
-      
-      sshClient.on('error', (err) => {
-        resolve({ success: false, error: err.message });
-      });
-      
-      const connectConfig = {
-        host: config.host,
-        port: config.port || 22,
-        username: config.username,
-        tryKeyboard: true,
-        algorithms: {
-          kex: ['ecdh-sha2-nistp256', 'ecdh-sha2-nistp384', 'ecdh-sha2-nistp521',
-                'diffie-hellman-group-exchange-sha256', 'diffie-hellman-group14-sha256'],
-          cipher: ['aes128-gcm', 'aes128-gcm@openssh.com', 'aes256-gcm', 'aes256-gcm@openssh.com'],
-          serverHostKey: ['ssh-rsa', 'ecdsa-sha2-nistp256', 'ecdsa-sha2-nistp384', 'ecdsa-sha2-nistp521'],
-          hmac: ['hmac-sha2-256', 'hmac-sha2-512', 'hmac-sha1']
-        }
-      };
-      
-      // Add authentication
-      if (config.authType === 'key' && config.privateKey) {
-        const fs = require('fs');
-        try {
-          connectConfig.privateKey = fs.readFileSync(config.privateKey);
-          if (config.passphrase) {
-            connectConfig.passphrase = config.passphrase;
-          }
-        } catch (err) {
-          console.error('Failed to read private key:', err);
-          resolve({ success: false, error: `Failed to read private key: ${err.message}` });
-          return;
-        }
-      } else if (config.password) {
-        connectConfig.password = config.password;
+    shell.onData((data) => {
+      event.sender.send('terminal-data', data.toString());
+    });
+    
+    shell.onClose(() => {
+      // A replaced terminal's close is not news to the renderer
+      if (terminal === shell) {
+        event.sender.send('terminal-closed');
+        terminal = null;
       }
-      
-      // Handle keyboard-interactive
-      sshClient.on('keyboard-interactive', (name, instructions, instructionsLang, prompts, finish) => {
-        if (config.password && prompts.length > 0) {
-          finish([config.password]);
-        } else {
-          finish([]);
-        }
-      });
-      
-      sshClient.connect(connectConfig);
     });
+    
+    return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
 ipcMain.on('terminal-input', (event, data) => {
-  if (terminalStream) {
-    terminalStream.write(data);
+  if (terminal) {
+    terminal.write(data);
   }
 });
 
 ipcMain.on('terminal-resize', (event, cols, rows) => {
-  if (terminalStream && terminalStream.setWindow) {
-    terminalStream.setWindow(rows, cols, 480, 640);
+  if (terminal) {
+    terminal.resize(cols, rows);
   }
 });
 
 ipcMain.handle('close-terminal', async () => {
   try {
-    if (terminalClient) {
-      terminalClient.end();
-      terminalClient = null;
-      terminalStream = null;
+    if (terminal) {
+      terminal.close();
+      terminal = null;
     }
     return { success: true };
   } catch (error) {
@@ -354,6 +518,30 @@ ipcMain.handle('delete-file', async (event, connectionId, filePath) => {
   }
 });
 
+ipcMain.handle('scan-remote-directory', async (event, connectionId, dirPath) => {
+  try {
+    const summary = await connectionManager.scanDirectory(connectionId, dirPath);
+    return { success: true, ...summary };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Runs as a queue item, so it reports progress and can be paused or cancelled like a transfer
+ipcMain.handle('delete-directory', async (event, connectionId, dirPath, transferId) => {
+  transferRegistry.register(transferId);
+  try {
+    const { deleted, failed } = await connectionManager.deleteDirectory(connectionId, dirPath, (progress) => {
+      event.sender.send('transfer-progress', transferId, progress);
+    }, transferRegistry.getTransferOptions(transferId));
+    return { success: true, deleted, failed };
+  } catch (error) {
+    return { success: false, error: error.message, cancelled: transferRegistry.isCancelled(transferId), interrupted: connectionManager.isInterrupted(connectionId) };
+  } finally {
+    transferRegistry.unregister(transferId);
+  }
+});
+
 ipcMain.handle('get-file-stats', async (event, connectionId, filePath) => {
   try {
     const stats = await connectionManager.getFileStats(connectionId, filePath);
@@ -372,6 +560,23 @@ ipcMain.handle('chmod', async (event, connectionId, filePath, mode) => {
   }
 });
 
+ipcMain.handle('get-protocols', async () => {
+  try {
+    return { success: true, protocols: connectionManager.getProtocols() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-capabilities', async (event, connectionId) => {
+  try {
+    const capabilities = connectionManager.getCapabilities(connectionId);
+    return { success: true, capabilities };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('create-directory', async (event, connectionId, remotePath) => {
   try {
     await connectionManager.createDirectory(connectionId, remotePath);
@@ -490,6 +695,58 @@ ipcMain.handle('rename-bookmark', async (event, id, newName, isRemote) => {
   }
 });
 
+// Custom command handlers
+ipcMain.handle('get-custom-commands', async (event, profileName) => {
+  try {
+    const commands = customCommandsManager.getCommands(profileName);
+    return { success: true, commands };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('add-custom-command', async (event, command) => {
+  try {
+    const newCommand = customCommandsManager.addCommand(command);
+    return { success: true, command: newCommand };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-custom-command', async (event, id) => {
+  try {
+    customCommandsManager.deleteCommand(id);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// context carries fileNames, directory and host for the placeholders. results has one
+// { success, command, stdout, stderr, exitCode } per command run, up to one that failed
+// to run at all.
+ipcMain.handle('run-custom-command', async (event, connectionId, template, context) => {
+  let commands;
+  try {
+    commands = expandCommands(template, context);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  
+  const results = [];
+  for (const command of commands) {
+    try {
+      const result = await connectionManager.runCommand(connectionId, command, context.directory);
+      results.push({ success: true, command, ...result });
+    } catch (error) {
+      results.push({ success: false, command, error: error.message });
+      break;
+    }
+  }
+  return { success: true, results };
+});
+
 // SSH Key handlers
 ipcMain.handle('generate-ssh-key', async (event, options) => {
   try {
@@ -527,6 +784,53 @@ ipcMain.handle('get-ssh-public-key', async (event, keyId) => {
   }
 });
 
+// Trusted host keys (known_hosts)
+ipcMain.handle('list-known-hosts', async () => {
+  try {
+    const entries = await knownHostsManager.listEntries();
+    return { success: true, entries };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-known-host', async (event, line, fingerprint) => {
+  try {
+    await knownHostsManager.removeEntry(line, fingerprint);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Hosts from ~/.ssh/config
+ipcMain.handle('list-ssh-config-hosts', async () => {
+  try {
+    const hosts = await sshConfigManager.listHosts();
+    return { success: true, hosts };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-ssh-config-host', async (event, alias) => {
+  try {
+    const host = await sshConfigManager.getHostSettings(alias);
+    return { success: true, host };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('apply-ssh-config', async (event, config) => {
+  try {
+    const resolved = await sshConfigManager.applyToConnection(config);
+    return { success: true, config: resolved };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 // Compression handlers
 ipcMain.handle('compress-file', async (event, filePath) => {
   const zlib = require('zlib');
@@ -0,0 +1,236 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+// Name OpenSSH uses for a host in known_hosts; non-standard ports are bracketed
+function hostEntryName(host, port) {
+  return !port || port === 22 ? host : `[${host}]:${port}`;
+}
+
+function fingerprintOf(keyBlob) {
+  const hash = crypto.createHash('sha256').update(keyBlob).digest('base64');
+  return `SHA256:${hash.replace(/=/g, '')}`;
+}
+
+// Host key blobs start with the key type as an SSH string
+function keyTypeOf(keyBlob) {
+  if (keyBlob.length < 4) return 'unknown';
+  const length = keyBlob.readUInt32BE(0);
+  return keyBlob.subarray(4, 4 + length).toString('ascii');
+}
+
+// known_hosts stores RSA keys as ssh-rsa whichever hash the server signs with
+function keyTypeOfAlgorithm(algorithm) {
+  return algorithm.startsWith('rsa-sha2-') ? 'ssh-rsa' : algorithm;
+}
+
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+// Hashed entries look like |1|base64(salt)|base64(HMAC-SHA1(salt, name))
+function matchesHashedName(hashed, name) {
+  const parts = hashed.split('|');
+  if (parts.length !== 4 || parts[1] !== '1') return false;
+  
+  const salt = Buffer.from(parts[2], 'base64');
+  const expected = crypto.createHmac('sha1', salt).update(name).digest('base64');
+  return expected === parts[3];
+}
+
+function matchesHostPatterns(patterns, name) {
+  if (patterns.startsWith('|')) {
+    return matchesHashedName(patterns, name);
+  }
+  
+  let matched = false;
+  for (const pattern of patterns.split(',')) {
+    const negated = pattern.startsWith('!');
+    const regex = wildcardToRegExp(negated ? pattern.slice(1) : pattern);
+    if (regex.test(name)) {
+      // A negated match excludes the host even if another pattern includes it
+      if (negated) return false;
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+function parseLine(line, lineNumber) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) return null;
+  
+  const fields = trimmed.split(/\s+/);
+  let marker = null;
+  if (fields[0].startsWith('@')) {
+    marker = fields.shift();
+  }
+  if (fields.length < 3) return null;
+  
+  const [hosts, keyType, key, ...comment] = fields;
+  return {
+    line: lineNumber,
+    marker,
+    hosts,
+    hashed: hosts.startsWith('|'),
+    keyType,
+    key,
+    comment: comment.join(' ')
+  };
+}
+
+class KnownHostsManager {
+  constructor(filePath = path.join(os.homedir(), '.ssh', 'known_hosts')) {
+    this.filePath = filePath;
+  }
+
+  async readLines() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return content.split('\n');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async readEntries() {
+    const lines = await this.readLines();
+    return lines
+      .map((line, index) => parseLine(line, index + 1))
+      .filter(entry => entry !== null);
+  }
+
+  async findEntries(host, port) {
+    const name = hostEntryName(host, port);
+    return (await this.readEntries()).filter(entry => matchesHostPatterns(entry.hosts, name));
+  }
+
+  // Returns 'trusted', 'unknown', 'changed' or 'revoked' for the key a server presented.
+  // An unknown key comes with knownKeyTypes, the types of the keys already trusted for
+  // the host, which are empty for a host never seen before.
+  async check(host, port, keyBlob) {
+    const keyType = keyTypeOf(keyBlob);
+    const key = keyBlob.toString('base64');
+    const result = { host, port, keyType, fingerprint: fingerprintOf(keyBlob) };
+    
+    const entries = await this.findEntries(host, port);
+    
+    if (entries.some(entry => entry.marker === '@revoked' && entry.key === key)) {
+      return { ...result, status: 'revoked' };
+    }
+    
+    // Certificate authorities aren't supported, so only plain host keys count
+    const hostKeys = entries.filter(entry => !entry.marker);
+    if (hostKeys.some(entry => entry.key === key)) {
+      return { ...result, status: 'trusted' };
+    }
+    
+    const conflicting = hostKeys.filter(entry => entry.keyType === keyType);
+    if (conflicting.length > 0) {
+      return { ...result, status: 'changed', lines: conflicting.map(entry => entry.line) };
+    }
+    
+    const knownKeyTypes = [...new Set(hostKeys.map(entry => entry.keyType))];
+    return { ...result, status: 'unknown', knownKeyTypes };
+  }
+
+  // ssh2 host key algorithms in the order to offer them, those for key types already
+  // trusted for the host first as OpenSSH does, so the server presents a key that can be
+  // checked rather than one that looks new
+  async orderHostKeyAlgorithms(host, port, algorithms) {
+    const keyTypes = (await this.findEntries(host, port))
+      .filter(entry => !entry.marker)
+      .map(entry => entry.keyType);
+    const known = algorithms.filter(algorithm => keyTypes.includes(keyTypeOfAlgorithm(algorithm)));
+    return [...known, ...algorithms.filter(algorithm => !known.includes(algorithm))];
+  }
+
+  async addHost(host, port, keyBlob) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    
+    const lines = await this.readLines();
+    const needsNewline = lines.length > 0 && lines[lines.length - 1] !== '';
+    const entry = `${hostEntryName(host, port)} ${keyTypeOf(keyBlob)} ${keyBlob.toString('base64')}\n`;
+    
+    await fs.appendFile(this.filePath, (needsNewline ? '\n' : '') + entry, { mode: 0o600 });
+  }
+
+  async listEntries() {
+    const entries = await this.readEntries();
+    return entries.map(entry => ({
+      line: entry.line,
+      marker: entry.marker,
+      hosts: entry.hashed ? null : entry.hosts,
+      hashed: entry.hashed,
+      keyType: entry.keyType,
+      fingerprint: fingerprintOf(Buffer.from(entry.key, 'base64')),
+      comment: entry.comment
+    }));
+  }
+
+  // The fingerprint guards against removing the wrong line if the file changed since it was listed
+  async removeEntry(lineNumber, fingerprint) {
+    const lines = await this.readLines();
+    const entry = parseLine(lines[lineNumber - 1] || '', lineNumber);
+    
+    if (!entry || fingerprintOf(Buffer.from(entry.key, 'base64')) !== fingerprint) {
+      throw new Error('known_hosts has changed, reload the list and try again');
+    }
+    
+    lines.splice(lineNumber - 1, 1);
+    await fs.writeFile(this.filePath, lines.join('\n'), { mode: 0o600 });
+  }
+
+  // Build an ssh2 hostVerifier. Unknown keys are passed to confirmUnknownHost,
+  // changed or revoked keys are always refused. getRejection() explains why the
+  // handshake failed, since ssh2 only reports a generic verification error.
+  createHostVerifier(host, port, confirmUnknownHost) {
+    let rejection = null;
+    
+    const hostVerifier = (keyBlob, verify) => {
+      this.check(host, port, keyBlob).then(async (result) => {
+        if (result.status === 'trusted') {
+          verify(true);
+          return;
+        }
+        
+        if (result.status === 'revoked') {
+          rejection = `The ${result.keyType} host key for ${host} (${result.fingerprint}) has been revoked in known_hosts. Connection refused.`;
+          verify(false);
+          return;
+        }
+        
+        if (result.status === 'changed') {
+          rejection = `WARNING: the host key for ${host} has changed! Someone could be intercepting the connection (man-in-the-middle attack), ` +
+            `or the server's key may have been replaced. The server offered ${result.keyType} key ${result.fingerprint}. ` +
+            `If the change is expected, remove the old key (known_hosts line ${result.lines.join(', ')}) under SSH Keys > Trusted Host Keys and connect again.`;
+          verify(false);
+          return;
+        }
+        
+        rejection = `Timed out waiting for confirmation of the host key for ${host}`;
+        const accepted = await confirmUnknownHost(result);
+        if (!accepted) {
+          rejection = `Host key for ${host} was not trusted`;
+          verify(false);
+          return;
+        }
+        
+        rejection = null;
+        await this.addHost(host, port, keyBlob);
+        verify(true);
+      }).catch((error) => {
+        console.error('Host key verification failed:', error);
+        rejection = `Host key verification failed: ${error.message}`;
+        verify(false);
+      });
+    };
+    
+    return { hostVerifier, getRejection: () => rejection };
+  }
+}
+
+module.exports = { KnownHostsManager, matchesHostPatterns };
\ No newline at end of file
@@ -6,7 +6,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   listDirectory: (connectionId, path) => ipcRenderer.invoke('list-directory', connectionId, path),
   downloadFile: (connectionId, remotePath, localPath) => ipcRenderer.invoke('download-file', connectionId, remotePath, localPath),
   uploadFile: (connectionId, localPath, remotePath) => ipcRenderer.invoke('upload-file', connectionId, localPath, remotePath),
-  createTerminal: (config) => ipcRenderer.invoke('create-terminal', config),
+  createTerminal: (connectionId) => ipcRenderer.invoke('create-terminal', connectionId),
   
   onDownloadProgress: (callback) => ipcRenderer.on('download-progress', callback),
   onUploadProgress: (callback) => ipcRenderer.on('upload-progress', callback),
@@ -21,8 +21,17 @@ class ProfileManager {
       protocol: profile.protocol,
       host: profile.host,
       port: profile.port,
+      basePath: profile.basePath,
+      region: profile.region,
+      pathStyle: profile.pathStyle,
+      secure: profile.secure,
       username: profile.username,
       authType: profile.authType || 'password',
+      agentForward: profile.agentForward || false,
+      jumpHosts: (profile.jumpHosts || []).map(hop => this.prepareJumpHost(hop, profile.savePassword)),
+      proxy: this.prepareProxy(profile.proxy, profile.savePassword),
+      atomicUpload: profile.atomicUpload || 'global',
+      deltaUploads: profile.deltaUploads || false,
       savePassword: profile.savePassword || false,
       lastUsed: new Date().toISOString()
     };
@@ -67,6 +76,27 @@ class ProfileManager {
       }
     }
     
+    if (profile && profile.jumpHosts) {
+      profile.jumpHosts.forEach(hop => {
+        if (!hop.password) return;
+        try {
+          hop.password = this.decryptPassword(hop.password);
+        } catch (error) {
+          console.error(`Failed to decrypt password for jump host ${hop.host}:`, error);
+          delete hop.password;
+        }
+      });
+    }
+    
+    if (profile && profile.proxy && profile.proxy.password) {
+      try {
+        profile.proxy.password = this.decryptPassword(profile.proxy.password);
+      } catch (error) {
+        console.error('Failed to decrypt proxy password:', error);
+        delete profile.proxy.password;
+      }
+    }
+    
     // Ensure authType is set
     if (profile && !profile.authType) {
       profile.authType = 'password';
@@ -77,6 +107,44 @@ class ProfileManager {
     return profile;
   }
 
+  // Jump host passwords follow the profile's "save credentials" setting
+  prepareJumpHost(hop, savePassword) {
+    const saved = {
+      host: hop.host,
+      port: hop.port,
+      username: hop.username,
+      authType: hop.authType || 'password'
+    };
+    
+    if (hop.authType === 'key') {
+      saved.privateKeyPath = hop.privateKeyPath;
+    } else if (savePassword && hop.password) {
+      saved.password = this.encryptPassword(hop.password);
+    }
+    
+    return saved;
+  }
+
+  // proxy.type is 'global' (use the app-wide setting), 'none', or a proxy protocol
+  prepareProxy(proxy, savePassword) {
+    if (!proxy || !proxy.type || proxy.type === 'global' || proxy.type === 'none') {
+      return { type: (proxy && proxy.type) || 'global' };
+    }
+    
+    const saved = {
+      type: proxy.type,
+      host: proxy.host,
+      port: proxy.port,
+      username: proxy.username
+    };
+    
+    if (savePassword && proxy.password) {
+      saved.password = this.encryptPassword(proxy.password);
+    }
+    
+    return saved;
+  }
+
   deleteProfile(id) {
     const profiles = this.getProfiles();
     delete profiles[id];
@@ -135,6 +203,10 @@ class ProfileManager {
         if (profile.password) {
           delete profile.password;
         }
+        (profile.jumpHosts || []).forEach(hop => delete hop.password);
+        if (profile.proxy) {
+          delete profile.proxy.password;
+        }
         return profile;
       });
   }
@@ -0,0 +1,295 @@
+const net = require('net');
+
+const DEFAULT_PROXY_PORTS = { socks4: 1080, socks5: 1080, http: 8080 };
+const PROXY_TIMEOUT = 30000;
+
+// SOCKS5 reply codes that mean the proxy is fine but the destination isn't
+const SOCKS5_TARGET_ERRORS = {
+  3: 'network unreachable',
+  4: 'host unreachable',
+  5: 'connection refused',
+  6: 'TTL expired'
+};
+
+const SOCKS5_PROXY_ERRORS = {
+  1: 'general SOCKS server failure',
+  2: 'connection not allowed by ruleset',
+  7: 'command not supported',
+  8: 'address type not supported'
+};
+
+// stage is 'proxy' when the proxy itself failed (unreachable, bad credentials,
+// refused the request) and 'target' when the proxy could not reach the server
+class ProxyError extends Error {
+  constructor(message, stage) {
+    super(message);
+    this.name = 'ProxyError';
+    this.stage = stage;
+  }
+}
+
+// Collects the proxy's replies in paused mode, so nothing is lost when the
+// socket is handed to ssh2 or basic-ftp once the tunnel is up
+class ReplyReader {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.pending = null;
+    this.failure = null;
+    
+    this.onReadable = () => {
+      let chunk;
+      while ((chunk = socket.read()) !== null) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+      }
+      this.check();
+    };
+    this.onError = (error) => this.fail(error);
+    this.onEnd = () => this.fail(new Error('proxy closed the connection'));
+    
+    socket.on('readable', this.onReadable);
+    socket.on('error', this.onError);
+    socket.on('end', this.onEnd);
+  }
+
+  // measure(buffer) returns the length of a complete reply, or 0 while more bytes are needed
+  read(measure) {
+    return new Promise((resolve, reject) => {
+      if (this.failure) {
+        reject(this.failure);
+        return;
+      }
+      this.pending = { measure, resolve, reject };
+      this.check();
+    });
+  }
+
+  check() {
+    if (!this.pending) return;
+    
+    const length = this.pending.measure(this.buffer);
+    if (!length) return;
+    
+    const reply = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve(reply);
+  }
+
+  fail(error) {
+    this.failure = this.failure || error;
+    if (this.pending) {
+      const { reject } = this.pending;
+      this.pending = null;
+      reject(this.failure);
+    }
+  }
+
+  // Give the socket back with any bytes the server sent right after the proxy's reply
+  release() {
+    this.socket.removeListener('readable', this.onReadable);
+    this.socket.removeListener('error', this.onError);
+    this.socket.removeListener('end', this.onEnd);
+    if (this.buffer.length > 0) {
+      this.socket.unshift(this.buffer);
+    }
+  }
+}
+
+function proxyName(proxy) {
+  return `${proxy.host}:${proxy.port || DEFAULT_PROXY_PORTS[proxy.type]}`;
+}
+
+function encodePort(port) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(port);
+  return buffer;
+}
+
+async function socks4Handshake(socket, reader, proxy, host, port) {
+  // SOCKS4a: an address of 0.0.0.x tells the proxy to resolve the hostname that follows
+  const isIPv4 = net.isIPv4(host);
+  const address = isIPv4 ? Buffer.from(host.split('.').map(Number)) : Buffer.from([0, 0, 0, 1]);
+  const parts = [Buffer.from([4, 1]), encodePort(port), address, Buffer.from(`${proxy.username || ''}\0`)];
+  if (!isIPv4) {
+    parts.push(Buffer.from(`${host}\0`));
+  }
+  socket.write(Buffer.concat(parts));
+  
+  const reply = await reader.read(buffer => (buffer.length >= 8 ? 8 : 0));
+  if (reply[1] === 0x5a) return;
+  
+  if (reply[1] === 0x5c || reply[1] === 0x5d) {
+    throw new ProxyError(`Proxy ${proxyName(proxy)} rejected the request (identd check failed)`, 'proxy');
+  }
+  // SOCKS4 uses a single code for "rejected or failed", which in practice is the target
+  throw new ProxyError(`Proxy could not reach ${host}:${port} (request rejected or failed)`, 'target');
+}
+
+function socks5Address(host) {
+  if (net.isIPv4(host)) {
+    return Buffer.from([1, ...host.split('.').map(Number)]);
+  }
+  // IPv4-mapped forms like ::ffff:1.2.3.4 are passed on as names
+  if (net.isIPv6(host) && !host.includes('.')) {
+    // Expand :: so each of the eight groups can be written out
+    const halves = host.split('::');
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves[1] ? halves[1].split(':') : [];
+    const groups = [...head, ...new Array(8 - head.length - tail.length).fill('0'), ...tail];
+    return Buffer.concat([Buffer.from([4]), ...groups.map(group => encodePort(parseInt(group, 16)))]);
+  }
+  
+  const name = Buffer.from(host);
+  return Buffer.concat([Buffer.from([3, name.length]), name]);
+}
+
+// Replies are VER REP RSV ATYP BND.ADDR BND.PORT, with an address length set by ATYP
+function socks5ReplyLength(buffer) {
+  if (buffer.length < 5) return 0;
+  
+  let length;
+  if (buffer[3] === 1) length = 10;
+  else if (buffer[3] === 4) length = 22;
+  else length = 7 + buffer[4];
+  return buffer.length >= length ? length : 0;
+}
+
+async function socks5Handshake(socket, reader, proxy, host, port) {
+  const useAuth = !!proxy.username;
+  socket.write(Buffer.from(useAuth ? [5, 2, 0, 2] : [5, 1, 0]));
+  
+  const greeting = await reader.read(buffer => (buffer.length >= 2 ? 2 : 0));
+  if (greeting[0] !== 5) {
+    throw new ProxyError(`${proxyName(proxy)} is not a SOCKS5 proxy`, 'proxy');
+  }
+  if (greeting[1] === 0xff) {
+    throw new ProxyError(`Proxy ${proxyName(proxy)} requires authentication that isn't configured`, 'proxy');
+  }
+  
+  if (greeting[1] === 2) {
+    const username = Buffer.from(proxy.username || '');
+    const password = Buffer.from(proxy.password || '');
+    socket.write(Buffer.concat([
+      Buffer.from([1, username.length]), username,
+      Buffer.from([password.length]), password
+    ]));
+    
+    const auth = await reader.read(buffer => (buffer.length >= 2 ? 2 : 0));
+    if (auth[1] !== 0) {
+      throw new ProxyError(`Proxy ${proxyName(proxy)} rejected the username or password`, 'proxy');
+    }
+  }
+  
+  socket.write(Buffer.concat([Buffer.from([5, 1, 0]), socks5Address(host), encodePort(port)]));
+  
+  const reply = await reader.read(socks5ReplyLength);
+  if (reply[1] === 0) return;
+  
+  if (SOCKS5_TARGET_ERRORS[reply[1]]) {
+    throw new ProxyError(`Proxy could not reach ${host}:${port}: ${SOCKS5_TARGET_ERRORS[reply[1]]}`, 'target');
+  }
+  const reason = SOCKS5_PROXY_ERRORS[reply[1]] || `error code ${reply[1]}`;
+  throw new ProxyError(`Proxy ${proxyName(proxy)} refused the connection: ${reason}`, 'proxy');
+}
+
+async function httpConnectHandshake(socket, reader, proxy, host, port) {
+  const authority = net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+  const lines = [`CONNECT ${authority} HTTP/1.1`, `Host: ${authority}`];
+  if (proxy.username) {
+    const credentials = Buffer.from(`${proxy.username}:${proxy.password || ''}`).toString('base64');
+    lines.push(`Proxy-Authorization: Basic ${credentials}`);
+  }
+  socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+  
+  const response = await reader.read((buffer) => {
+    const end = buffer.indexOf('\r\n\r\n');
+    return end === -1 ? 0 : end + 4;
+  });
+  
+  const statusLine = response.toString('latin1').split('\r\n')[0];
+  const match = statusLine.match(/^HTTP\/\d(?:\.\d)?\s+(\d{3})\s*(.*)$/);
+  if (!match) {
+    throw new ProxyError(`${proxyName(proxy)} is not an HTTP proxy`, 'proxy');
+  }
+  
+  const status = parseInt(match[1]);
+  if (status >= 200 && status < 300) return;
+  
+  if (status === 407) {
+    throw new ProxyError(`Proxy ${proxyName(proxy)} requires authentication (407 ${match[2]})`, 'proxy');
+  }
+  // Bad gateway, unavailable or timeout mean the proxy tried and the server didn't answer
+  if (status === 502 || status === 503 || status === 504) {
+    throw new ProxyError(`Proxy could not reach ${host}:${port} (${status} ${match[2]})`, 'target');
+  }
+  throw new ProxyError(`Proxy ${proxyName(proxy)} refused the connection (${status} ${match[2]})`, 'proxy');
+}
+
+const HANDSHAKES = {
+  socks4: socks4Handshake,
+  socks5: socks5Handshake,
+  http: httpConnectHandshake
+};
+
+// Open a tunnel to host:port through proxy ({ type, host, port, username, password }).
+// Resolves with the connected socket, ready for ssh2 or basic-ftp to use.
+async function connectThroughProxy(proxy, host, port, socket = new net.Socket()) {
+  const handshake = HANDSHAKES[proxy.type];
+  if (!handshake) {
+    throw new ProxyError(`Unsupported proxy type: ${proxy.type}`, 'proxy');
+  }
+  
+  const reader = new ReplyReader(socket);
+  // Keep any idle timeout the caller set, it applies again once the tunnel is up
+  const previousTimeout = socket.timeout || 0;
+  const onTimeout = () => socket.destroy(new Error('timed out'));
+  socket.setTimeout(PROXY_TIMEOUT);
+  socket.on('timeout', onTimeout);
+  
+  try {
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      // Subclasses override connect(), so call the plain socket's version
+      net.Socket.prototype.connect.call(socket, proxy.port || DEFAULT_PROXY_PORTS[proxy.type], proxy.host, () => {
+        socket.removeListener('error', reject);
+        resolve();
+      });
+    });
+  } catch (error) {
+    socket.destroy();
+    throw new ProxyError(`Could not connect to proxy ${proxyName(proxy)}: ${error.message}`, 'proxy');
+  }
+  
+  try {
+    await handshake(socket, reader, proxy, host, port);
+  } catch (error) {
+    socket.destroy();
+    if (error instanceof ProxyError) throw error;
+    throw new ProxyError(`Proxy ${proxyName(proxy)} failed: ${error.message}`, 'proxy');
+  }
+  
+  socket.removeListener('timeout', onTimeout);
+  socket.setTimeout(previousTimeout);
+  reader.release();
+  return socket;
+}
+
+// A socket whose connect() tunnels through the proxy, for libraries such as
+// basic-ftp that create and connect their own data sockets
+class ProxySocket extends net.Socket {
+  constructor(proxy) {
+    super();
+    this.proxy = proxy;
+  }
+
+  connect(options, connectListener) {
+    connectThroughProxy(this.proxy, options.host, options.port, this).then(() => {
+      if (connectListener) connectListener();
+    }).catch(error => this.destroy(error));
+    return this;
+  }
+}
+
+module.exports = { ProxyError, ProxySocket, connectThroughProxy };
\ No newline at end of file
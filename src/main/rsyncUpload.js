@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const { once } = require('events');
+
+// rsync 3.0's protocol, which later versions still speak; the server settles on the
+// lower of the two versions
+const PROTOCOL_VERSION = 30;
+const CHECKSUM_SEED_FIX = 1 << 5;
+
+// Once the handshake is over both directions are split into messages, with the type
+// in the top byte of a 4-byte header; only MSG_DATA carries the protocol itself
+const MPLEX_BASE = 7;
+const MSG_DATA = 0;
+const ERROR_MESSAGES = [1, 3, 5, 8]; // MSG_ERROR_XFER, MSG_ERROR, MSG_ERROR_SOCKET, MSG_ERROR_UTF8
+// Data goes out in messages no larger than rsync's own, which fit its 32 KB buffer
+const MAX_MESSAGE = 32 * 1024 - 4;
+// Literal bytes are sent in runs of at most this much, as rsync does
+const CHUNK_SIZE = 32 * 1024;
+
+const NDX_DONE = -1;
+const NDX_DEL_STATS = -3;
+const ITEM_BASIS_TYPE_FOLLOWS = 1 << 11;
+const ITEM_XNAME_FOLLOWS = 1 << 12;
+const ITEM_TRANSFER = 1 << 15;
+// File list flags: owner and group aren't sent, a name over 255 bytes has a longer length
+const XMIT_SAME_UID = 1 << 3;
+const XMIT_SAME_GID = 1 << 4;
+const XMIT_LONG_NAME = 1 << 6;
+
+// rsync's variable-length integers: at least minBytes little-endian bytes, the first
+// of them holding the top byte with one leading 1 bit for each byte beyond minBytes
+function encodeVarlong(value, minBytes) {
+  const bytes = Buffer.alloc(9);
+  bytes.writeBigUInt64LE(BigInt(value), 1);
+  let count = 8;
+  while (count > minBytes && bytes[count] === 0) {
+    count--;
+  }
+  
+  const bit = 1 << (7 - count + minBytes);
+  if (bytes[count] >= bit) {
+    count++;
+    bytes[0] = ~(bit - 1) & 0xff;
+  } else if (count > minBytes) {
+    bytes[0] = (bytes[count] | ~(bit * 2 - 1)) & 0xff;
+  } else {
+    bytes[0] = bytes[count];
+  }
+  return bytes.subarray(0, count);
+}
+
+// Sends one file to "rsync --server" on the other end of an exec channel, as the
+// rsync client does for "rsync file host:path": the server lists the blocks of the
+// file it has, and gets the new file back as references to those and the bytes it
+// lacks, which it puts together under a temporary name and renames over the old file.
+class RsyncUpload {
+  constructor(channel) {
+    this.channel = channel;
+    // What the server sent, and once it is split into messages, the data in them
+    this.input = Buffer.alloc(0);
+    this.data = Buffer.alloc(0);
+    this.multiplexed = false;
+    this.output = [];
+    this.waiting = null;
+    this.failure = null;
+    this.messages = [];
+    // File indexes are sent as the difference from the last one in each direction
+    this.lastIndex = { read: { positive: -1, negative: 1 }, written: { positive: -1, negative: 1 } };
+    
+    const stderr = [];
+    channel.on('data', (chunk) => {
+      this.input = this.input.length ? Buffer.concat([this.input, chunk]) : chunk;
+      this.receive();
+    });
+    channel.stderr.on('data', chunk => stderr.push(chunk));
+    this.exited = new Promise((resolve) => {
+      channel.on('close', (exitCode) => {
+        const message = this.messages.join(' ') || Buffer.concat(stderr).toString().trim();
+        this.fail(new Error(message || `rsync exited with status ${exitCode}`));
+        resolve(exitCode);
+      });
+    });
+  }
+
+  receive() {
+    while (this.multiplexed && this.input.length >= 4) {
+      const header = this.input.readUInt32LE(0);
+      const length = header & 0xffffff;
+      if (this.input.length < 4 + length) break;
+      
+      const payload = this.input.subarray(4, 4 + length);
+      this.input = this.input.subarray(4 + length);
+      const type = (header >>> 24) - MPLEX_BASE;
+      if (type === MSG_DATA) {
+        this.data = this.data.length ? Buffer.concat([this.data, payload]) : payload;
+      } else if (ERROR_MESSAGES.includes(type)) {
+        this.messages.push(payload.toString().trim());
+      }
+      // Anything else (notes for the log, keep-alives) isn't needed here
+    }
+    this.wake();
+  }
+
+  wake() {
+    if (!this.waiting) return;
+    
+    const buffer = this.multiplexed ? this.data : this.input;
+    const { length, resolve, reject } = this.waiting;
+    if (buffer.length >= length) {
+      this.waiting = null;
+      if (this.multiplexed) {
+        this.data = buffer.subarray(length);
+      } else {
+        this.input = buffer.subarray(length);
+      }
+      resolve(buffer.subarray(0, length));
+    } else if (this.failure) {
+      this.waiting = null;
+      reject(this.failure);
+    }
+  }
+
+  fail(error) {
+    this.failure = this.failure || error;
+    this.wake();
+  }
+
+  // Whatever is waiting to go out is sent first, since the server may need it to answer
+  async read(length) {
+    await this.flush();
+    return new Promise((resolve, reject) => {
+      this.waiting = { length, resolve, reject };
+      this.wake();
+    });
+  }
+
+  async readInt() {
+    return (await this.read(4)).readInt32LE(0);
+  }
+
+  async readVarlong(minBytes) {
+    const head = await this.read(minBytes);
+    let extra = 0;
+    while (extra < 6 && head[0] & (0x80 >> extra)) {
+      extra++;
+    }
+    
+    const bytes = Buffer.alloc(9);
+    head.copy(bytes, 0, 1);
+    if (extra) {
+      (await this.read(extra)).copy(bytes, minBytes - 1);
+      bytes[minBytes + extra - 1] = head[0] & ((1 << (8 - extra)) - 1);
+    } else {
+      bytes[minBytes - 1] = head[0];
+    }
+    return Number(bytes.readBigUInt64LE(0));
+  }
+
+  // A file index: 0 alone is NDX_DONE, 0xFF comes before negative ones, 0xFE before
+  // a difference too big for one byte
+  async readIndex() {
+    let [first] = await this.read(1);
+    if (first === 0) return NDX_DONE;
+    
+    const negative = first === 0xff;
+    if (negative) {
+      [first] = await this.read(1);
+    }
+    const last = this.lastIndex.read;
+    const previous = negative ? last.negative : last.positive;
+    let index;
+    if (first === 0xfe) {
+      const bytes = await this.read(2);
+      if (bytes[0] & 0x80) {
+        const rest = await this.read(2);
+        index = (bytes[1] | rest[0] << 8 | rest[1] << 16 | (bytes[0] & 0x7f) << 24);
+      } else {
+        index = (bytes[0] << 8) + bytes[1] + previous;
+      }
+    } else {
+      index = first + previous;
+    }
+    
+    if (negative) {
+      last.negative = index;
+      return -index;
+    }
+    last.positive = index;
+    return index;
+  }
+
+  write(buffer) {
+    this.output.push(buffer);
+  }
+
+  writeInt(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32LE(value);
+    this.write(buffer);
+  }
+
+  writeIndex(index) {
+    if (index === NDX_DONE) {
+      this.write(Buffer.from([0]));
+      return;
+    }
+    
+    const last = this.lastIndex.written;
+    const bytes = [];
+    let value = index;
+    let difference;
+    if (index >= 0) {
+      difference = index - last.positive;
+      last.positive = index;
+    } else {
+      bytes.push(0xff);
+      value = -index;
+      difference = value - last.negative;
+      last.negative = value;
+    }
+    
+    if (difference > 0 && difference < 0xfe) {
+      bytes.push(difference);
+    } else if (difference < 0 || difference > 0x7fff) {
+      bytes.push(0xfe, (value >>> 24) | 0x80, value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff);
+    } else {
+      bytes.push(0xfe, difference >>> 8, difference & 0xff);
+    }
+    this.write(Buffer.from(bytes));
+  }
+
+  async flush() {
+    if (!this.output.length) return;
+    
+    const data = Buffer.concat(this.output);
+    this.output = [];
+    for (let offset = 0; offset < data.length; offset += MAX_MESSAGE) {
+      const payload = data.subarray(offset, offset + MAX_MESSAGE);
+      const header = Buffer.alloc(4);
+      header.writeUInt32LE(((MPLEX_BASE + MSG_DATA) << 24 | payload.length) >>> 0);
+      if (!this.channel.write(Buffer.concat([header, payload]))) {
+        await Promise.race([once(this.channel, 'drain'), this.exited]);
+      }
+      if (this.failure) throw this.failure;
+    }
+  }
+
+  // The next file the server asks for, as { index, flags, basisType, otherName }, or
+  // null when it has finished a phase. Items it only reports on are sent back as they
+  // are, which is all rsync's sender does with them.
+  async nextRequest() {
+    for (;;) {
+      const index = await this.readIndex();
+      if (index === NDX_DONE) return null;
+      if (index === NDX_DEL_STATS) {
+        // Counts of what --delete removed; none are asked for here
+        for (let i = 0; i < 5; i++) {
+          await this.readVarlong(1);
+        }
+        continue;
+      }
+      if (index < 0) {
+        throw new Error(`rsync sent an unexpected file index (${index})`);
+      }
+      
+      const request = { index, flags: (await this.read(2)).readUInt16LE(0), basisType: null, otherName: null };
+      if (request.flags & ITEM_BASIS_TYPE_FOLLOWS) {
+        request.basisType = await this.read(1);
+      }
+      if (request.flags & ITEM_XNAME_FOLLOWS) {
+        let [length] = await this.read(1);
+        if (length & 0x80) {
+          length = (length & 0x7f) * 0x100 + (await this.read(1))[0];
+        }
+        request.otherName = await this.read(length);
+      }
+      if (request.flags & ITEM_TRANSFER) return request;
+      this.writeRequest(request);
+    }
+  }
+
+  writeRequest({ index, flags, basisType, otherName }) {
+    this.writeIndex(index);
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16LE(flags);
+    this.write(buffer);
+    if (basisType) {
+      this.write(basisType);
+    }
+    if (otherName) {
+      this.write(Buffer.from(otherName.length < 0x80 ? [otherName.length] : [(otherName.length >>> 8) | 0x80, otherName.length & 0xff]));
+      this.write(otherName);
+    }
+  }
+
+  // Send the file list, name being the file's and mode including its type, and wait for
+  // the server to ask for the file. Resolves with its block checksums as signatures for
+  // delta.js's computeDelta().
+  async start({ name, size, mode, mtime }) {
+    this.channel.write(Buffer.from([PROTOCOL_VERSION, 0, 0, 0]));
+    const version = await this.readInt();
+    if (version < PROTOCOL_VERSION) {
+      throw new Error(`rsync on the server is too old (protocol ${version})`);
+    }
+    const compatFlags = await this.readVarlong(1);
+    const seed = await this.read(4);
+    this.multiplexed = true;
+    this.receive();
+    
+    // A one-file list: flags, name, size, time and mode, then a zero byte to end it
+    const nameBytes = Buffer.from(name);
+    if (nameBytes.length > 255) {
+      this.write(Buffer.from([XMIT_SAME_UID | XMIT_SAME_GID | XMIT_LONG_NAME]));
+      this.write(encodeVarlong(nameBytes.length, 1));
+    } else {
+      this.write(Buffer.from([XMIT_SAME_UID | XMIT_SAME_GID, nameBytes.length]));
+    }
+    this.write(nameBytes);
+    this.write(encodeVarlong(size, 3));
+    this.write(encodeVarlong(Math.floor(mtime.getTime() / 1000), 4));
+    this.writeInt(mode);
+    this.write(Buffer.from([0]));
+    
+    this.request = await this.nextRequest();
+    if (!this.request) {
+      throw new Error(this.messages.join(' ') || 'rsync on the server skipped the file');
+    }
+    
+    const [count, blockSize, strongLength, remainder] = [await this.readInt(), await this.readInt(), await this.readInt(), await this.readInt()];
+    this.head = { count, blockSize, strongLength, remainder };
+    // Its MD5s of the blocks take in the seed too, in front of them when the server says so
+    const seeded = seed.equals(Buffer.alloc(4)) ? null : seed;
+    const seedFirst = (compatFlags & CHECKSUM_SEED_FIX) !== 0;
+    const strongSum = (buffer, start, end) => {
+      const hash = crypto.createHash('md5');
+      if (seeded && seedFirst) hash.update(seeded);
+      hash.update(buffer.subarray(start, end));
+      if (seeded && !seedFirst) hash.update(seeded);
+      return hash.digest().subarray(0, strongLength).toString('hex');
+    };
+    
+    const blocks = new Map();
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+      const weak = (await this.readInt()) >>> 0;
+      const strong = (await this.read(strongLength)).toString('hex');
+      const length = i === count - 1 && remainder ? remainder : blockSize;
+      blocks.set(weak, (blocks.get(weak) || []).concat({ offset, length, strong }));
+      offset += length;
+    }
+    return { blockSize, size: offset, blocks, strongSum, signedBytes: true };
+  }
+
+  // Send the file as parts from computeDelta(), taking its bytes in order from read()
+  // (a run reader from streams.js); onLiteral(length) hears of the bytes that go out
+  async send(parts, read, onLiteral) {
+    const { count, blockSize, strongLength, remainder } = this.head;
+    this.writeRequest(this.request);
+    [count, blockSize, strongLength, remainder].forEach(value => this.writeInt(value));
+    
+    const hash = crypto.createHash('md5');
+    for (const part of parts) {
+      if (part.from !== null) {
+        await read(part.length, piece => hash.update(piece));
+        // Blocks are sent as -(number + 1)
+        for (let offset = part.from; offset < part.from + part.length; offset += blockSize) {
+          this.writeInt(-(offset / blockSize + 1));
+        }
+        continue;
+      }
+      
+      await read(part.length, async (piece) => {
+        hash.update(piece);
+        for (let offset = 0; offset < piece.length; offset += CHUNK_SIZE) {
+          const chunk = piece.subarray(offset, offset + CHUNK_SIZE);
+          this.writeInt(chunk.length);
+          this.write(chunk);
+        }
+        onLiteral(piece.length);
+        await this.flush();
+      });
+    }
+    // The end of the file, and its MD5 for the server to check what it made against
+    this.writeInt(0);
+    this.write(hash.digest());
+    await this.flush();
+  }
+
+  // The phases that follow: the server asks again for files that came out wrong, then
+  // for nothing, each phase ending with NDX_DONE from it answered by one from here,
+  // the last one by a final NDX_DONE and its goodbye.
+  async finish() {
+    for (let phase = 1; phase <= 3; phase++) {
+      if (await this.nextRequest()) {
+        throw new Error('rsync on the server made a different file than was sent');
+      }
+      this.writeIndex(NDX_DONE);
+    }
+    if (await this.nextRequest()) {
+      throw new Error('rsync sent more than expected at the end');
+    }
+    
+    this.channel.end();
+    const exitCode = await this.exited;
+    if (exitCode !== 0) throw this.failure;
+  }
+
+  close() {
+    this.channel.close();
+  }
+}
+
+module.exports = { RsyncUpload };
\ No newline at end of file
@@ -0,0 +1,502 @@
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { connectThroughProxy } = require('./proxyClient');
+const { xmlElements, xmlText } = require('./xmlUtils');
+
+const EMPTY_SHA256 = crypto.createHash('sha256').digest('hex');
+// S3 allows at most 10,000 parts of at least 5 MiB (except the last)
+const MIN_PART_SIZE = 8 * 1024 * 1024;
+const MAX_PARTS = 10000;
+// Parts of one size in an upload of unknown size, 1000 of each size reach 5 TB
+const PARTS_PER_SIZE = 1000;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects it; encodeURIComponent leaves !'()* alone
+function uriEncode(value, keepSlash = false) {
+  const encoded = encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+// Build the Authorization header for AWS Signature Version 4. headers must
+// include host and x-amz-date; every header passed in is signed.
+function signRequest({ method, path, query = {}, headers, payloadHash, region, accessKeyId, secretAccessKey }) {
+  const amzDate = headers['x-amz-date'];
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  
+  const canonicalQuery = Object.keys(query).sort()
+    .map(key => `${uriEncode(key)}=${uriEncode(query[key])}`)
+    .join('&');
+  const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = {};
+  Object.keys(headers).forEach((name) => {
+    lowerHeaders[name.toLowerCase()] = String(headers[name]).trim().replace(/\s+/g, ' ');
+  });
+  const canonicalHeaders = headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+  
+  const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  
+  let signingKey = hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8));
+  for (const part of [region, 's3', 'aws4_request']) {
+    signingKey = hmac(signingKey, part);
+  }
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+// Collects a stream into parts and sends them as a multipart upload. Files
+// smaller than one part go up with a single PUT instead.
+class S3UploadStream extends Writable {
+  constructor(client, bucket, key, size) {
+    super();
+    this.client = client;
+    this.bucket = bucket;
+    this.key = key;
+    // Without a size, parts double every PARTS_PER_SIZE so the part limit isn't reached
+    this.growParts = size === null || size === undefined;
+    this.partSize = this.growParts ? MIN_PART_SIZE : Math.max(MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+    this.chunks = [];
+    this.buffered = 0;
+    this.uploadId = null;
+    this.parts = [];
+    this.completed = false;
+  }
+
+  async sendPart() {
+    const body = Buffer.concat(this.chunks);
+    this.chunks = [];
+    this.buffered = 0;
+    
+    if (!this.uploadId) {
+      this.uploadId = await this.client.createMultipartUpload(this.bucket, this.key);
+    }
+    const partNumber = this.parts.length + 1;
+    const etag = await this.client.uploadPart(this.bucket, this.key, this.uploadId, partNumber, body);
+    this.parts.push({ partNumber, etag });
+    if (this.growParts && partNumber % PARTS_PER_SIZE === 0) {
+      this.partSize *= 2;
+    }
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(chunk);
+    this.buffered += chunk.length;
+    if (this.buffered < this.partSize) {
+      callback();
+      return;
+    }
+    // Holding the callback keeps the source paused while the part is sent
+    this.sendPart().then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    const finish = async () => {
+      if (!this.uploadId) {
+        await this.client.putObject(this.bucket, this.key, Buffer.concat(this.chunks));
+      } else {
+        if (this.buffered > 0) {
+          await this.sendPart();
+        }
+        await this.client.completeMultipartUpload(this.bucket, this.key, this.uploadId, this.parts);
+      }
+      this.completed = true;
+    };
+    finish().then(() => callback(), callback);
+  }
+
+  // A cancelled or failed upload would otherwise leave its parts billed on the server
+  _destroy(error, callback) {
+    if (this.uploadId && !this.completed) {
+      this.client.abortMultipartUpload(this.bucket, this.key, this.uploadId).catch((abortError) => {
+        console.error('Failed to abort multipart upload:', abortError.message);
+      });
+    }
+    callback(error);
+  }
+}
+
+// S3-compatible object storage (AWS, MinIO, Ceph, ...) over Node's http/https.
+// Remote paths are /bucket/key; "/" lists the buckets unless a bucket is configured,
+// in which case "/" is that bucket. Prefixes ending in "/" show up as directories.
+class S3Client {
+  constructor(config) {
+    this.secure = config.secure !== false;
+    this.transport = this.secure ? https : http;
+    this.host = config.host;
+    this.port = config.port || (this.secure ? 443 : 80);
+    this.region = config.region || 'us-east-1';
+    this.pathStyle = !!config.pathStyle;
+    this.accessKeyId = config.username || '';
+    this.secretAccessKey = config.password || '';
+    this.bucket = (config.basePath || '').replace(/^\/+|\/+$/g, '');
+    this.proxy = config.proxy || null;
+    this.agent = new this.transport.Agent({ keepAlive: true });
+  }
+
+  // Check the endpoint and credentials
+  async connect() {
+    if (this.bucket) {
+      await this.send('HEAD', { bucket: this.bucket });
+    } else {
+      await this.listBuckets();
+    }
+  }
+
+  close() {
+    this.agent.destroy();
+  }
+
+  // Split a remote path into bucket and key ('' for the bucket itself)
+  parsePath(remotePath) {
+    const parts = remotePath.split('/').filter(Boolean);
+    if (this.bucket) {
+      return { bucket: this.bucket, key: parts.join('/') };
+    }
+    return { bucket: parts[0] || '', key: parts.slice(1).join('/') };
+  }
+
+  hostHeader(bucket) {
+    const defaultPort = this.secure ? 443 : 80;
+    const host = bucket && !this.pathStyle ? `${bucket}.${this.host}` : this.host;
+    return this.port === defaultPort ? host : `${host}:${this.port}`;
+  }
+
+  // Send a signed request and resolve with the response once its headers arrive.
+  // body is a Buffer or string; it is hashed for the signature.
+  request(method, { bucket = '', key = '', query = {}, headers = {}, body = null }) {
+    const payload = body === null ? null : Buffer.from(body);
+    let requestPath = `/${uriEncode(key, true)}`;
+    if (bucket && this.pathStyle) {
+      requestPath = `/${bucket}${key ? requestPath : ''}`;
+    }
+    
+    const requestHeaders = {
+      ...headers,
+      host: this.hostHeader(bucket),
+      'x-amz-date': new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''),
+      'x-amz-content-sha256': payload ? sha256(payload) : EMPTY_SHA256
+    };
+    requestHeaders.authorization = signRequest({
+      method,
+      path: requestPath,
+      query,
+      headers: requestHeaders,
+      payloadHash: requestHeaders['x-amz-content-sha256'],
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+    if (payload) {
+      requestHeaders['content-length'] = payload.length;
+    }
+    
+    const queryString = Object.keys(query).map(name => `${uriEncode(name)}=${uriEncode(query[name])}`).join('&');
+    const host = requestHeaders.host.replace(/:\d+$/, '');
+    const options = {
+      method,
+      host,
+      port: this.port,
+      path: queryString ? `${requestPath}?${queryString}` : requestPath,
+      headers: requestHeaders,
+      servername: host
+    };
+    // Without an agent, Node opens each connection through createConnection
+    if (!this.proxy) {
+      options.agent = this.agent;
+    } else {
+      options.createConnection = (connectOptions, callback) => {
+        connectThroughProxy(this.proxy, host, this.port).then((socket) => {
+          callback(null, this.secure ? tls.connect({ socket, servername: host }) : socket);
+        }, callback);
+      };
+    }
+    
+    return new Promise((resolve, reject) => {
+      const req = this.transport.request(options);
+      req.on('error', reject);
+      req.on('response', resolve);
+      req.end(payload || undefined);
+    });
+  }
+
+  // Request, read the whole reply and fail on an error status
+  async send(method, target, options = {}) {
+    const response = await this.request(method, { ...target, ...options });
+    const chunks = [];
+    for await (const chunk of response) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks).toString();
+    
+    if (response.statusCode >= 300) {
+      throw this.responseError(method, target, response, body);
+    }
+    return { headers: response.headers, body };
+  }
+
+  // S3 errors carry a Code and Message in an XML body (HEAD replies have none)
+  responseError(method, { bucket = '', key = '' }, response, body = '') {
+    const code = xmlText(body, 'Code');
+    const message = xmlText(body, 'Message');
+    const target = `/${bucket}${key ? `/${key}` : ''}`;
+    const reason = code ? `${code}${message ? `: ${message}` : ''}` : `${response.statusCode} ${response.statusMessage}`;
+    const error = new Error(`${method} ${target}: ${reason}`);
+    error.status = response.statusCode;
+    error.code = code;
+    return error;
+  }
+
+  async listBuckets() {
+    const { body } = await this.send('GET', {});
+    return xmlElements(body, 'Bucket').map(bucket => ({
+      name: xmlText(bucket, 'Name'),
+      type: 'directory',
+      size: 0,
+      modifiedAt: new Date(xmlText(bucket, 'CreationDate'))
+    }));
+  }
+
+  // Every object under prefix; with a delimiter, the next level's prefixes too
+  async listObjects(bucket, prefix, delimiter = null, maxKeys = null) {
+    const objects = [];
+    const prefixes = [];
+    let continuationToken = null;
+    
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (delimiter) query.delimiter = delimiter;
+      if (maxKeys) query['max-keys'] = String(maxKeys);
+      if (continuationToken) query['continuation-token'] = continuationToken;
+      
+      const { body } = await this.send('GET', { bucket }, { query });
+      xmlElements(body, 'Contents').forEach((item) => {
+        objects.push({
+          key: xmlText(item, 'Key'),
+          size: parseInt(xmlText(item, 'Size')) || 0,
+          modifiedAt: new Date(xmlText(item, 'LastModified'))
+        });
+      });
+      xmlElements(body, 'CommonPrefixes').forEach(item => prefixes.push(xmlText(item, 'Prefix')));
+      
+      continuationToken = xmlText(body, 'IsTruncated') === 'true' && !maxKeys ? xmlText(body, 'NextContinuationToken') : null;
+    } while (continuationToken);
+    
+    return { objects, prefixes };
+  }
+
+  async list(remotePath) {
+    const { bucket, key } = this.parsePath(remotePath);
+    if (!bucket) {
+      return this.listBuckets();
+    }
+    
+    const prefix = key ? `${key}/` : '';
+    const { objects, prefixes } = await this.listObjects(bucket, prefix, '/');
+    const directories = prefixes.map(name => ({
+      name: name.slice(prefix.length, -1),
+      type: 'directory',
+      size: 0,
+      modifiedAt: null
+    }));
+    // The prefix's own folder marker isn't an entry
+    const files = objects.filter(object => object.key !== prefix).map(object => ({
+      name: object.key.slice(prefix.length),
+      type: 'file',
+      size: object.size,
+      modifiedAt: object.modifiedAt
+    }));
+    return directories.concat(files);
+  }
+
+  // { type, size, modifiedAt } for an object, or a directory for buckets and
+  // prefixes that have objects under them
+  async stat(remotePath) {
+    const { bucket, key } = this.parsePath(remotePath);
+    if (!bucket) {
+      return { type: 'directory', size: 0, modifiedAt: null };
+    }
+    if (!key) {
+      await this.send('HEAD', { bucket });
+      return { type: 'directory', size: 0, modifiedAt: null };
+    }
+    
+    try {
+      const { headers } = await this.send('HEAD', { bucket, key });
+      return {
+        type: 'file',
+        size: parseInt(headers['content-length']) || 0,
+        modifiedAt: headers['last-modified'] ? new Date(headers['last-modified']) : null
+      };
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+    
+    const { objects, prefixes } = await this.listObjects(bucket, `${key}/`, '/', 1);
+    if (objects.length === 0 && prefixes.length === 0) {
+      const error = new Error(`${remotePath}: no such file or directory`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    return { type: 'directory', size: 0, modifiedAt: null };
+  }
+
+  // Resolves with the GET response; start asks for a byte range
+  async openDownload(remotePath, start = 0) {
+    const target = this.parsePath(remotePath);
+    const headers = start > 0 ? { range: `bytes=${start}-` } : {};
+    const response = await this.request('GET', { ...target, headers });
+    if (response.statusCode >= 300) {
+      const chunks = [];
+      for await (const chunk of response) {
+        chunks.push(chunk);
+      }
+      throw this.responseError('GET', target, response, Buffer.concat(chunks).toString());
+    }
+    return response;
+  }
+
+  // A writable stream that stores what is written to it at remotePath
+  createUploadStream(remotePath, size) {
+    const { bucket, key } = this.parsePath(remotePath);
+    if (!bucket || !key) {
+      throw new Error(`Files can only be uploaded into a bucket, not to ${remotePath}`);
+    }
+    return new S3UploadStream(this, bucket, key, size);
+  }
+
+  async putObject(bucket, key, body) {
+    await this.send('PUT', { bucket, key }, { body });
+  }
+
+  async createMultipartUpload(bucket, key) {
+    const { body } = await this.send('POST', { bucket, key }, { query: { uploads: '' } });
+    return xmlText(body, 'UploadId');
+  }
+
+  async uploadPart(bucket, key, uploadId, partNumber, body) {
+    const { headers } = await this.send('PUT', { bucket, key }, {
+      query: { partNumber: String(partNumber), uploadId },
+      body
+    });
+    return headers.etag;
+  }
+
+  async completeMultipartUpload(bucket, key, uploadId, parts) {
+    const xml = '<CompleteMultipartUpload>' +
+      parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`).join('') +
+      '</CompleteMultipartUpload>';
+    const { body } = await this.send('POST', { bucket, key }, { query: { uploadId }, body: xml });
+    // Completion can fail after the 200 status has been sent
+    if (xmlElements(body, 'Error').length > 0) {
+      throw new Error(`Completing the upload of ${key} failed: ${xmlText(body, 'Code')}: ${xmlText(body, 'Message')}`);
+    }
+  }
+
+  async abortMultipartUpload(bucket, key, uploadId) {
+    await this.send('DELETE', { bucket, key }, { query: { uploadId } });
+  }
+
+  // A bucket at the top level, otherwise an empty "folder/" marker object
+  async mkdir(remotePath) {
+    const { bucket, key } = this.parsePath(remotePath);
+    if (!key) {
+      const body = this.region === 'us-east-1'
+        ? null
+        : `<CreateBucketConfiguration><LocationConstraint>${this.region}</LocationConstraint></CreateBucketConfiguration>`;
+      try {
+        await this.send('PUT', { bucket }, { body });
+      } catch (error) {
+        if (error.code !== 'BucketAlreadyOwnedByYou') throw error;
+      }
+      return;
+    }
+    await this.putObject(bucket, `${key}/`, '');
+  }
+
+  async copyObject(bucket, sourceKey, targetBucket, targetKey) {
+    const { body } = await this.send('PUT', { bucket: targetBucket, key: targetKey }, {
+      headers: { 'x-amz-copy-source': `/${bucket}/${uriEncode(sourceKey, true)}` }
+    });
+    if (xmlElements(body, 'Error').length > 0) {
+      throw new Error(`Copying ${sourceKey} failed: ${xmlText(body, 'Code')}: ${xmlText(body, 'Message')}`);
+    }
+  }
+
+  async deleteObject(bucket, key) {
+    await this.send('DELETE', { bucket, key });
+  }
+
+  // Copy an object, or every object under a directory's prefix. Resolves with the
+  // source keys that were copied.
+  async copy(oldPath, newPath) {
+    const source = this.parsePath(oldPath);
+    const target = this.parsePath(newPath);
+    if (!source.key || !target.key) {
+      throw new Error('Buckets can\'t be copied');
+    }
+    
+    const entry = await this.stat(oldPath);
+    if (entry.type === 'file') {
+      await this.copyObject(source.bucket, source.key, target.bucket, target.key);
+      return [source.key];
+    }
+    
+    const { objects } = await this.listObjects(source.bucket, `${source.key}/`);
+    for (const object of objects) {
+      const newKey = `${target.key}/${object.key.slice(source.key.length + 1)}`;
+      await this.copyObject(source.bucket, object.key, target.bucket, newKey);
+    }
+    return objects.map(object => object.key);
+  }
+
+  // S3 has no rename: objects are copied to the new key and then deleted. A
+  // directory moves every object under its prefix.
+  async rename(oldPath, newPath) {
+    const source = this.parsePath(oldPath);
+    const target = this.parsePath(newPath);
+    if (!source.key || !target.key) {
+      throw new Error('Buckets can\'t be renamed');
+    }
+    
+    const keys = await this.copy(oldPath, newPath);
+    // Only delete once everything has been copied, so a failure loses nothing
+    for (const key of keys) {
+      await this.deleteObject(source.bucket, key);
+    }
+  }
+
+  // Delete an object, an empty directory's marker, or an empty bucket
+  async remove(remotePath) {
+    const { bucket, key } = this.parsePath(remotePath);
+    if (!key) {
+      await this.send('DELETE', { bucket });
+      return;
+    }
+    
+    const entry = await this.stat(remotePath);
+    if (entry.type === 'file') {
+      await this.deleteObject(bucket, key);
+      return;
+    }
+    
+    const { objects, prefixes } = await this.listObjects(bucket, `${key}/`, '/', 2);
+    if (prefixes.length > 0 || objects.some(object => object.key !== `${key}/`)) {
+      throw new Error(`${remotePath}: directory not empty`);
+    }
+    await this.deleteObject(bucket, `${key}/`);
+  }
+}
+
+module.exports = { S3Client, signRequest };
\ No newline at end of file
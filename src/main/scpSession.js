@@ -0,0 +1,500 @@
+const path = require('path');
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+const { RsyncUpload } = require('./rsyncUpload');
+
+const S_IFMT = 0o170000;
+const FILE_TYPE_BITS = {
+  '-': 0o100000,
+  d: 0o040000,
+  l: 0o120000,
+  c: 0o020000,
+  b: 0o060000,
+  p: 0o010000,
+  s: 0o140000
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Prints "length a b md5" for each block of a file: rsync's weak sums, as delta.js
+// works them out, and MD5. sum(accumulate()) is the sum of (end - i) * byte, which keeps
+// the work per byte out of Python code.
+const BLOCK_CHECKSUMS_SCRIPT = [
+  'import sys, hashlib, itertools',
+  'f = open(sys.argv[1], "rb")',
+  'n = int(sys.argv[2])',
+  'while True:',
+  '    d = f.read(n)',
+  '    if not d: break',
+  '    sys.stdout.write("%d %d %d %s\\n" % (len(d), sum(d) & 65535, sum(itertools.accumulate(d)) & 65535, hashlib.md5(d).hexdigest()))'
+].join('\n');
+const BLOCK_CHECKSUM_LINE = /^(\d+) (\d+) (\d+) ([0-9a-f]{32})$/;
+
+// Writes a file of the given size out of another one's blocks, read from stdin as
+// "offset length from" lines: length bytes at from in the old file go to offset
+const COPY_BLOCKS_SCRIPT = [
+  'import sys',
+  'src = open(sys.argv[1], "rb")',
+  'dst = open(sys.argv[2], "wb")',
+  'dst.truncate(int(sys.argv[3]))',
+  'for line in sys.stdin:',
+  '    offset, length, start = map(int, line.split())',
+  '    src.seek(start)',
+  '    dst.seek(offset)',
+  '    while length > 0:',
+  '        d = src.read(min(length, 1048576))',
+  '        if not d: sys.exit("%s changed while it was being copied" % sys.argv[1])',
+  '        dst.write(d)',
+  '        length -= len(d)'
+].join('\n');
+
+// Single-quote an argument for the remote shell
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+// Turn "drwxr-sr-x" into a numeric mode including the file type bits
+function parseModeString(modeString) {
+  let mode = FILE_TYPE_BITS[modeString[0]] || FILE_TYPE_BITS['-'];
+  const bits = modeString.slice(1, 10);
+  
+  for (let i = 0; i < 9; i++) {
+    const char = bits[i];
+    if (char !== '-' && char !== 'S' && char !== 'T') {
+      mode |= 1 << (8 - i);
+    }
+  }
+  // setuid, setgid and sticky replace the x of their column
+  if ('sS'.includes(bits[2])) mode |= 0o4000;
+  if ('sS'.includes(bits[5])) mode |= 0o2000;
+  if ('tT'.includes(bits[8])) mode |= 0o1000;
+  return mode;
+}
+
+// Dates in plain "ls -la" output: "Mar  5 14:02" for recent files, "Mar  5  2021" otherwise
+function parseLsDate(text) {
+  const [monthName, day, timeOrYear] = text.split(/\s+/);
+  const month = MONTHS.indexOf(monthName);
+  if (month === -1) return null;
+  
+  if (timeOrYear.includes(':')) {
+    const [hours, minutes] = timeOrYear.split(':').map(Number);
+    const now = new Date();
+    const date = new Date(now.getFullYear(), month, parseInt(day), hours, minutes);
+    // Recent files are within the last six months, so a future date belongs to last year
+    if (date.getTime() > now.getTime() + 24 * 60 * 60 * 1000) {
+      date.setFullYear(date.getFullYear() - 1);
+    }
+    return date;
+  }
+  return new Date(parseInt(timeOrYear), month, parseInt(day));
+}
+
+// Device files show "major, minor" where the size would be
+const LS_EPOCH_LINE = /^([-dlcbps][-rwxsStT]{9})\S?\s+\d+\s+\S+\s+\S+\s+(\d+|\d+,\s*\d+)\s+(\d+)\s(.*)$/;
+const LS_PLAIN_LINE = /^([-dlcbps][-rwxsStT]{9})\S?\s+\d+\s+\S+\s+\S+\s+(\d+|\d+,\s*\d+)\s+(\w{3}\s+\d{1,2}\s+(?:\d{1,2}:\d{2}|\d{4}))\s(.*)$/;
+
+// Parse one line of "ls -la --time-style=+%s" output, or plain "ls -la" from
+// systems (BusyBox) whose ls has no --time-style
+function parseLsLine(line) {
+  let match = LS_EPOCH_LINE.exec(line);
+  let modifiedAt;
+  if (match) {
+    modifiedAt = new Date(parseInt(match[3]) * 1000);
+  } else {
+    match = LS_PLAIN_LINE.exec(line);
+    if (!match) return null;
+    modifiedAt = parseLsDate(match[3]);
+  }
+  
+  const mode = parseModeString(match[1]);
+  let name = match[4];
+  if (match[1][0] === 'l') {
+    name = name.split(' -> ')[0];
+  }
+  
+  // Devices, sockets and FIFOs are listed as files
+  return {
+    name,
+    type: (mode & S_IFMT) === FILE_TYPE_BITS.d ? 'directory' : 'file',
+    size: match[2].includes(',') ? 0 : parseInt(match[2]),
+    modifiedAt,
+    permissions: mode
+  };
+}
+
+// Reads the scp protocol's replies: a zero byte for OK, or 1 (warning) / 2 (fatal)
+// followed by a message line
+class ScpReplyReader {
+  constructor(channel) {
+    this.buffer = Buffer.alloc(0);
+    this.pending = null;
+    this.failure = null;
+    
+    channel.on('data', (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.check();
+    });
+    channel.on('close', () => this.fail(new Error('scp exited unexpectedly')));
+  }
+
+  next() {
+    return new Promise((resolve, reject) => {
+      if (this.failure) {
+        reject(this.failure);
+        return;
+      }
+      this.pending = { resolve, reject };
+      this.check();
+    });
+  }
+
+  check() {
+    if (!this.pending || this.buffer.length === 0) return;
+    
+    if (this.buffer[0] === 0) {
+      this.buffer = this.buffer.subarray(1);
+      const { resolve } = this.pending;
+      this.pending = null;
+      resolve();
+      return;
+    }
+    
+    const end = this.buffer.indexOf('\n');
+    if (end === -1) return;
+    
+    const message = this.buffer.subarray(1, end).toString().trim();
+    this.buffer = this.buffer.subarray(end + 1);
+    this.fail(new Error(message || 'scp reported an error'));
+  }
+
+  fail(error) {
+    this.failure = this.failure || error;
+    if (this.pending) {
+      const { reject } = this.pending;
+      this.pending = null;
+      reject(this.failure);
+    }
+  }
+}
+
+// File operations over SSH exec channels, for servers without an SFTP subsystem.
+// Transfers use the scp protocol (scp -t / scp -f), everything else runs shell
+// commands, so the server needs a POSIX shell and coreutils or BusyBox.
+class ScpSession {
+  constructor(sshClient) {
+    this.client = sshClient;
+  }
+
+  openChannel(command) {
+    return new Promise((resolve, reject) => {
+      this.client.exec(command, (err, channel) => {
+        if (err) {
+          reject(new Error(`Failed to run ${command.split(' ')[0]}: ${err.message}`));
+        } else {
+          resolve(channel);
+        }
+      });
+    });
+  }
+
+  // Run a command and resolve with { stdout, stderr, exitCode } whatever its exit status
+  async exec(command, input = '') {
+    const channel = await this.openChannel(command);
+    // stdin gets input, if any, and is closed. Closing it also stops a server that starts
+    // sftp-server for every channel (ForceCommand internal-sftp) from waiting for input.
+    channel.end(input);
+    
+    return new Promise((resolve) => {
+      const stdout = [];
+      const stderr = [];
+      
+      channel.on('data', chunk => stdout.push(chunk));
+      channel.stderr.on('data', chunk => stderr.push(chunk));
+      // The exit status can arrive before these listeners exist, but ssh2 repeats it on close
+      channel.on('close', (exitCode) => {
+        resolve({
+          stdout: Buffer.concat(stdout).toString(),
+          stderr: Buffer.concat(stderr).toString(),
+          exitCode
+        });
+      });
+    });
+  }
+
+  // Run a command and resolve with its output; a non-zero exit status rejects with stderr
+  async run(command, input = '') {
+    const { stdout, stderr, exitCode } = await this.exec(command, input);
+    if (exitCode === 0) {
+      return stdout;
+    }
+    
+    const message = stderr.trim();
+    const error = new Error(message || `${command.split(' ')[0]} exited with status ${exitCode}`);
+    error.exitCode = exitCode;
+    throw error;
+  }
+
+  async list(remotePath) {
+    // The trailing slash lists what a symlinked directory points to, not the link
+    const target = shellQuote(remotePath.endsWith('/') ? remotePath : `${remotePath}/`);
+    let output;
+    try {
+      output = await this.run(`LC_ALL=C ls -la --time-style=+%s ${target}`);
+    } catch (error) {
+      // BusyBox ls rejects --time-style; try again with the default date format
+      if (!/time-style|unrecognized|invalid|illegal|unknown/i.test(error.message)) throw error;
+      output = await this.run(`LC_ALL=C ls -la ${target}`);
+    }
+    
+    return output.split('\n')
+      .map(parseLsLine)
+      .filter(entry => entry && entry.name !== '.' && entry.name !== '..');
+  }
+
+  // Same fields as an SFTP stat (mode, uid, gid, size, atime, mtime)
+  async stat(remotePath) {
+    const output = await this.run(`stat -L -c '%f %u %g %s %X %Y' ${shellQuote(remotePath)}`);
+    const [mode, uid, gid, size, atime, mtime] = output.trim().split(/\s+/);
+    
+    return {
+      mode: parseInt(mode, 16),
+      uid: parseInt(uid),
+      gid: parseInt(gid),
+      size: parseInt(size),
+      atime: parseInt(atime),
+      mtime: parseInt(mtime)
+    };
+  }
+
+  async remove(remotePath) {
+    await this.run(`rm ${shellQuote(remotePath)}`);
+  }
+
+  async rmdir(remotePath) {
+    await this.run(`rmdir ${shellQuote(remotePath)}`);
+  }
+
+  async mkdir(remotePath) {
+    await this.run(`mkdir -p ${shellQuote(remotePath)}`);
+  }
+
+  async rename(oldPath, newPath) {
+    await this.run(`mv ${shellQuote(oldPath)} ${shellQuote(newPath)}`);
+  }
+
+  // Copies directories recursively, keeping modes and timestamps
+  async copy(sourcePath, targetPath) {
+    await this.run(`cp -a ${shellQuote(sourcePath)} ${shellQuote(targetPath)}`);
+  }
+
+  // SHA-256 from sha256sum, or MD5 on systems that only have md5sum; null without either
+  async checksum(remotePath) {
+    const tools = [['sha256sum', 'SHA-256', /^[0-9a-f]{64}$/], ['md5sum', 'MD5', /^[0-9a-f]{32}$/]];
+    for (const [command, algorithm, format] of tools) {
+      const { stdout, stderr, exitCode } = await this.exec(`${command} ${shellQuote(remotePath)}`);
+      if (exitCode === 127) continue;
+      if (exitCode !== 0) {
+        throw new Error(stderr.trim() || `${command} exited with status ${exitCode}`);
+      }
+      
+      // Names with a backslash or newline in them get a \ before the hash
+      const value = stdout.split(/\s/)[0].replace(/^\\/, '').toLowerCase();
+      // A server that runs sftp-server on every channel exits 0 without output
+      return format.test(value) ? { algorithm, value } : null;
+    }
+    return null;
+  }
+
+  // Checksums of every blockSize bytes of a file for a delta upload, worked out by
+  // python3 on the server, as { length, a, b, strong } per block; null without python3
+  async blockChecksums(remotePath, blockSize) {
+    const { stdout, exitCode } = await this.exec(`python3 -c ${shellQuote(BLOCK_CHECKSUMS_SCRIPT)} ${shellQuote(remotePath)} ${blockSize}`);
+    if (exitCode !== 0) return null;
+    
+    const lines = stdout.split('\n').filter(line => line);
+    const matches = lines.map(line => BLOCK_CHECKSUM_LINE.exec(line));
+    // A server that runs sftp-server on every channel exits 0 without output
+    if (matches.length === 0 || matches.includes(null)) return null;
+    return matches.map(([, length, a, b, strong]) => ({ length: Number(length), a: Number(a), b: Number(b), strong }));
+  }
+
+  // Whether python3 runs on the server, for the scripts above
+  async hasPython() {
+    try {
+      const { stdout, exitCode } = await this.exec('python3 -c "print(3)"');
+      return exitCode === 0 && stdout.trim() === '3';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Build targetPath, size bytes long, with the blocks of sourcePath that parts
+  // ({ offset, length, from }) place in it; the rest is left as zeros to be written
+  async copyBlocks(sourcePath, targetPath, size, parts) {
+    const input = parts.map(({ offset, length, from }) => `${offset} ${length} ${from}\n`).join('');
+    await this.run(`python3 -c ${shellQuote(COPY_BLOCKS_SCRIPT)} ${shellQuote(sourcePath)} ${shellQuote(targetPath)} ${size}`, input);
+  }
+
+  // Start "rsync --server" to receive remotePath, once "rsync --version" shows the
+  // server has it; null otherwise. -I has it take the file even when its size and
+  // time are unchanged, -t sets the time sent with it, and -e.fC lists protocol fixes
+  // understood here the way the rsync client does.
+  async openRsync(remotePath, { preserveTimes = false } = {}) {
+    let version;
+    try {
+      version = await this.exec('rsync --version');
+    } catch (error) {
+      return null;
+    }
+    if (version.exitCode !== 0 || !/^rsync\s+version/.test(version.stdout)) return null;
+    
+    const channel = await this.openChannel(`rsync --server -I${preserveTimes ? 't' : ''}e.fC . ${shellQuote(remotePath)}`);
+    return new RsyncUpload(channel);
+  }
+
+  async chmod(remotePath, mode) {
+    await this.run(`chmod ${mode} ${shellQuote(remotePath)}`);
+  }
+
+  // Start "scp -f" and resolve once the server has announced the file. The
+  // returned stream carries exactly the file's bytes; destroying it stops the transfer.
+  async openDownload(remotePath) {
+    const channel = await this.openChannel(`scp -p -f ${shellQuote(remotePath)}`);
+    const output = new PassThrough();
+    
+    return new Promise((resolve, reject) => {
+      const header = {};
+      const stderr = [];
+      let buffer = Buffer.alloc(0);
+      let state = 'header';
+      let remaining = 0;
+      let done = false;
+      
+      const fail = (error) => {
+        if (done) return;
+        done = true;
+        // Before the header the caller has no stream yet, so only the promise carries the error
+        if (state === 'header') {
+          reject(error);
+          output.destroy();
+        } else {
+          output.destroy(error);
+        }
+        channel.close();
+      };
+      
+      const handleHeader = (line) => {
+        const type = line[0];
+        if (type === 'T') {
+          const [mtime, , atime] = line.slice(1).split(' ').map(Number);
+          Object.assign(header, { mtime, atime });
+        } else if (type === 'C') {
+          const [mode, size] = line.slice(1).split(' ');
+          Object.assign(header, { mode: parseInt(mode, 8), size: parseInt(size) });
+          remaining = header.size;
+          state = remaining > 0 ? 'data' : 'trailer';
+          resolve({ stream: output, ...header });
+        } else if (type === '\x01' || type === '\x02') {
+          fail(new Error(line.slice(1).trim()));
+          return;
+        } else if (type === 'D') {
+          fail(new Error(`${remotePath} is a directory`));
+          return;
+        } else {
+          fail(new Error(`Unexpected scp reply: ${line.slice(0, 40)}`));
+          return;
+        }
+        channel.write('\0');
+      };
+      
+      channel.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        
+        while (buffer.length > 0 && !done) {
+          if (state === 'header') {
+            const end = buffer.indexOf('\n');
+            if (end === -1) return;
+            const line = buffer.subarray(0, end).toString();
+            buffer = buffer.subarray(end + 1);
+            handleHeader(line);
+          } else if (state === 'data') {
+            const data = buffer.subarray(0, remaining);
+            buffer = buffer.subarray(data.length);
+            remaining -= data.length;
+            if (remaining === 0) {
+              state = 'trailer';
+            }
+            // Respect backpressure from the limiter so pausing a transfer holds the channel
+            if (!output.write(data)) {
+              channel.pause();
+              output.once('drain', () => channel.resume());
+            }
+          } else {
+            if (buffer[0] !== 0) {
+              fail(new Error(buffer.subarray(1).toString().trim() || 'scp reported an error'));
+              return;
+            }
+            done = true;
+            channel.write('\0');
+            channel.end();
+            output.end();
+          }
+        }
+      });
+      
+      channel.stderr.on('data', chunk => stderr.push(chunk));
+      channel.on('close', () => {
+        const message = Buffer.concat(stderr).toString().trim();
+        fail(new Error(message || 'scp closed the connection before the file was complete'));
+      });
+      // A cancelled or failed transfer destroys the stream, which ends the remote scp
+      output.on('close', () => {
+        if (!done) {
+          done = true;
+          channel.close();
+        }
+      });
+      
+      // The remote scp waits for this before it announces the file
+      channel.write('\0');
+    });
+  }
+
+  // Send source (size bytes) to remotePath with "scp -t". mode and, when given,
+  // mtime/atime (seconds) are applied by the remote scp.
+  async upload(remotePath, source, { size, mode, mtime, atime }) {
+    const preserveTimes = mtime !== undefined;
+    const channel = await this.openChannel(`scp ${preserveTimes ? '-p ' : ''}-t ${shellQuote(remotePath)}`);
+    const replies = new ScpReplyReader(channel);
+    
+    try {
+      await replies.next();
+      if (preserveTimes) {
+        channel.write(`T${Math.floor(mtime)} 0 ${Math.floor(atime)} 0\n`);
+        await replies.next();
+      }
+      
+      const modeString = (mode & 0o7777).toString(8).padStart(4, '0');
+      channel.write(`C${modeString} ${size} ${path.posix.basename(remotePath)}\n`);
+      await replies.next();
+      
+      // The next reply acknowledges the whole file; one arriving early is an error
+      // such as a full disk, which has to stop the source too
+      const completed = replies.next();
+      completed.catch(error => source.destroy(error));
+      source.pipe(channel, { end: false });
+      await finished(source);
+      
+      channel.write('\0');
+      await completed;
+    } catch (error) {
+      channel.close();
+      throw error;
+    }
+    
+    channel.end();
+  }
+}
+
+module.exports = { ScpSession, shellQuote };
\ No newline at end of file
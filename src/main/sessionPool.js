@@ -0,0 +1,147 @@
+// Extra sessions per connection, as many as the transfer queue runs at once
+const MAX_WORKERS = 3;
+// Idle extra sessions are closed after this long
+const IDLE_TIMEOUT = 30000;
+
+// Extra sessions to one server that transfers lease, so several can run at once and
+// browsing on the main session isn't held up behind them. Workers come from the main
+// driver's openWorker(). When that resolves null the driver carries concurrent
+// transfers itself and every lease gets it; when the server refuses another session,
+// transfers take turns on the sessions already open, the main one if there are none.
+class SessionPool {
+  constructor(driver, maxWorkers = MAX_WORKERS) {
+    this.driver = driver;
+    this.limit = maxWorkers;
+    // Every open worker, and the ones not leased right now as { worker, timer }
+    this.workers = new Set();
+    this.idle = [];
+    // Leases waiting for a worker while all of them are busy
+    this.waiting = [];
+    this.opening = 0;
+    this.shared = false;
+    this.closed = false;
+  }
+
+  // Resolves with { driver, release }. release() hands the driver back once the
+  // transfer is done with it; release(true) after a failure closes a worker instead
+  // of reusing it, since its session may be in any state.
+  async lease() {
+    const driver = await this.acquire();
+    let released = false;
+    
+    return {
+      driver,
+      release: (discard = false) => {
+        if (released || this.shared) return;
+        released = true;
+        if (discard || this.closed) {
+          this.discard(driver);
+        } else {
+          this.giveBack(driver);
+        }
+      }
+    };
+  }
+
+  async acquire() {
+    if (this.closed || this.shared) return this.driver;
+    
+    const idle = this.idle.pop();
+    if (idle) {
+      clearTimeout(idle.timer);
+      return idle.worker;
+    }
+    
+    if (this.workers.size + this.opening >= this.limit) {
+      if (this.limit === 0) return this.driver;
+      return new Promise(resolve => this.waiting.push(resolve));
+    }
+    
+    this.opening++;
+    let worker = null;
+    let refused = false;
+    try {
+      worker = await this.driver.openWorker();
+    } catch (error) {
+      console.warn(`Could not open another session (${error.message}), using the ones already open`);
+      refused = true;
+    } finally {
+      this.opening--;
+    }
+    
+    if (!worker && !refused) {
+      this.shared = true;
+      this.waiting.splice(0).forEach(resolve => resolve(this.driver));
+      return this.driver;
+    }
+    if (!worker) {
+      // Don't ask again
+      if (this.workers.size === 0) {
+        this.workers.add(this.driver);
+        this.limit = 1;
+        return this.driver;
+      }
+      this.limit = this.workers.size;
+      return new Promise(resolve => this.waiting.push(resolve));
+    }
+    if (this.closed) {
+      worker.close();
+      return this.driver;
+    }
+    
+    this.workers.add(worker);
+    return worker;
+  }
+
+  giveBack(worker) {
+    const next = this.waiting.shift();
+    if (next) {
+      next(worker);
+      return;
+    }
+    // The main session stays open whatever happens to the pool
+    if (worker === this.driver) {
+      this.idle.push({ worker, timer: null });
+      return;
+    }
+    
+    const timer = setTimeout(() => {
+      this.idle = this.idle.filter(entry => entry.worker !== worker);
+      this.discard(worker);
+    }, IDLE_TIMEOUT);
+    timer.unref();
+    this.idle.push({ worker, timer });
+  }
+
+  discard(worker) {
+    if (worker === this.driver) {
+      this.giveBack(worker);
+      return;
+    }
+    
+    this.workers.delete(worker);
+    worker.close();
+    
+    // Someone waiting gets a fresh worker in its place
+    const next = this.waiting.shift();
+    if (next) {
+      this.acquire().then(next);
+    }
+  }
+
+  // Close the idle workers; leased ones are closed as they are released
+  close() {
+    this.closed = true;
+    this.idle.forEach(({ worker, timer }) => {
+      clearTimeout(timer);
+      this.workers.delete(worker);
+      if (worker !== this.driver) {
+        worker.close();
+      }
+    });
+    this.idle = [];
+    this.waiting.splice(0).forEach(resolve => resolve(this.driver));
+  }
+}
+
+module.exports = { SessionPool };
\ No newline at end of file
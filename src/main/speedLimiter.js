@@ -8,9 +8,43 @@ class SpeedLimiter extends Transform {
     this.startTime = Date.now();
     this.totalBytes = 0;
     this.lastCheck = Date.now();
+    this.heldAt = null;
+    this.pendingChunk = null;
+  }
+
+  // Stop passing data through; the stream keeps its position until release()
+  hold() {
+    if (this.heldAt) return;
+    this.heldAt = Date.now();
+    this.emit('hold');
+  }
+
+  release() {
+    if (!this.heldAt) return;
+    
+    // Paused time doesn't count towards the rate, otherwise we'd burst on release
+    this.startTime += Date.now() - this.heldAt;
+    this.heldAt = null;
+    this.emit('release');
+    
+    const pending = this.pendingChunk;
+    this.pendingChunk = null;
+    if (pending && !this.destroyed) {
+      this._transform(pending.chunk, pending.encoding, pending.callback);
+    }
+  }
+
+  isHeld() {
+    return this.heldAt !== null;
   }
 
   _transform(chunk, encoding, callback) {
+    if (this.heldAt) {
+      // Withholding the callback applies backpressure to the source
+      this.pendingChunk = { chunk, encoding, callback };
+      return;
+    }
+    
     if (this.maxBytesPerSecond === Infinity) {
       // No speed limit, pass through
       this.push(chunk);
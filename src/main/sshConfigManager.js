@@ -0,0 +1,358 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { matchesHostPatterns } = require('./knownHostsManager');
+
+// Same nesting limit as OpenSSH's readconf.c
+const MAX_INCLUDE_DEPTH = 16;
+// Guards against ProxyJump entries that lead back to themselves
+const MAX_JUMP_DEPTH = 8;
+
+// Keywords that accumulate every value instead of keeping the first one
+const MULTI_VALUE_KEYWORDS = new Set(['identityfile', 'certificatefile', 'localforward', 'remoteforward', 'dynamicforward']);
+
+// Split a config line into its lowercased keyword and arguments. The keyword may
+// be followed by whitespace or "=", and arguments may be double-quoted.
+function tokenize(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) return null;
+  
+  const match = trimmed.match(/^([^\s=]+)\s*(?:=\s*)?(.*)$/);
+  if (!match) return null;
+  
+  const args = [];
+  for (const arg of match[2].matchAll(/"([^"]*)"|(\S+)/g)) {
+    args.push(arg[1] !== undefined ? arg[1] : arg[2]);
+  }
+  return { keyword: match[1].toLowerCase(), args };
+}
+
+function expandHome(filePath) {
+  return filePath === '~' || filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+// Replace %-tokens (%h, %r, %d, ...) using the given values; unknown tokens are left alone
+function expandTokens(value, tokens) {
+  return value.replace(/%(.)/g, (token, key) => (tokens[key] !== undefined ? tokens[key] : token));
+}
+
+// File name globbing for Include, where matching is case-sensitive
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+// ProxyJump entries are [user@]host[:port] or ssh://[user@]host[:port]
+function parseJumpSpec(spec) {
+  const match = spec.replace(/^ssh:\/\//, '').match(/^(?:([^@]+)@)?(\[[^\]]+\]|[^:@]+)(?::(\d+))?$/);
+  if (!match) return null;
+  
+  return {
+    username: match[1],
+    host: match[2].replace(/^\[|\]$/g, ''),
+    port: match[3] ? parseInt(match[3]) : undefined
+  };
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Reads ~/.ssh/config the way OpenSSH does: for each option the first value
+// that applies wins, Host and Match blocks decide which lines apply, and Include
+// pulls in other files in place.
+class SSHConfigManager {
+  constructor(filePath = path.join(os.homedir(), '.ssh', 'config')) {
+    this.filePath = filePath;
+    this.sshDir = path.dirname(filePath);
+  }
+
+  async readEntries(filePath) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      return content.split('\n').map(tokenize).filter(entry => entry !== null);
+    } catch (error) {
+      // Missing files, including Include targets that don't exist, are skipped like ssh does
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') return [];
+      throw error;
+    }
+  }
+
+  // Include paths are relative to ~/.ssh and may contain wildcards in any segment
+  async expandInclude(pattern) {
+    let fullPath = expandHome(pattern);
+    if (!path.isAbsolute(fullPath)) {
+      fullPath = path.join(this.sshDir, fullPath);
+    }
+    if (!/[*?]/.test(fullPath)) return [fullPath];
+    
+    let matches = [path.parse(fullPath).root];
+    for (const segment of fullPath.split(path.sep).filter(Boolean)) {
+      if (!/[*?]/.test(segment)) {
+        matches = matches.map(match => path.join(match, segment));
+        continue;
+      }
+      
+      const regex = globToRegExp(segment);
+      const expanded = [];
+      for (const dir of matches) {
+        let names;
+        try {
+          names = await fs.readdir(dir);
+        } catch (error) {
+          continue;
+        }
+        names
+          .filter(name => regex.test(name) && (segment.startsWith('.') || !name.startsWith('.')))
+          .forEach(name => expanded.push(path.join(dir, name)));
+      }
+      matches = expanded.sort();
+    }
+    return matches;
+  }
+
+  // Resolve an alias to its settings, a Map of keyword to value (or to a list of
+  // values for keywords like IdentityFile), and the hostname Match lines tested
+  async resolveOptions(alias) {
+    const context = { alias, host: alias, settings: new Map(), finalPass: false, wantsFinalPass: false };
+    await this.applyFile(this.filePath, context, true, false, 0);
+    
+    // "Match final" and "Match canonical" only apply in a second pass over the config
+    if (context.wantsFinalPass) {
+      Object.assign(context, { host: alias, settings: new Map(), finalPass: true });
+      await this.applyFile(this.filePath, context, true, false, 0);
+    }
+    
+    return context;
+  }
+
+  // active carries the enclosing Host/Match state into included files and is
+  // restored when they end; neverMatch keeps an inactive Include's blocks off
+  async applyFile(filePath, context, active, neverMatch, depth) {
+    if (depth > MAX_INCLUDE_DEPTH) {
+      throw new Error(`Too many nested Include directives in ${filePath}`);
+    }
+    
+    for (const { keyword, args } of await this.readEntries(filePath)) {
+      if (keyword === 'host') {
+        active = !neverMatch && matchesHostPatterns(args.join(','), context.alias);
+      } else if (keyword === 'match') {
+        active = !neverMatch && this.evaluateMatch(args, context);
+      } else if (keyword === 'include') {
+        for (const pattern of args) {
+          for (const file of await this.expandInclude(pattern)) {
+            await this.applyFile(file, context, active, neverMatch || !active, depth + 1);
+          }
+        }
+      } else if (active) {
+        this.setOption(context, keyword, args);
+      }
+    }
+  }
+
+  evaluateMatch(args, context) {
+    const localUser = os.userInfo().username;
+    let result = true;
+    
+    for (let i = 0; i < args.length; i++) {
+      let criterion = args[i].toLowerCase();
+      const negated = criterion.startsWith('!');
+      if (negated) {
+        criterion = criterion.slice(1);
+      }
+      
+      let matched;
+      if (criterion === 'all') {
+        matched = true;
+      } else if (criterion === 'canonical' || criterion === 'final') {
+        context.wantsFinalPass = true;
+        matched = context.finalPass;
+      } else {
+        const value = args[++i];
+        if (value === undefined) {
+          throw new Error(`Match ${criterion} is missing its argument`);
+        }
+        
+        if (criterion === 'host') {
+          matched = matchesHostPatterns(value, context.host);
+        } else if (criterion === 'originalhost') {
+          matched = matchesHostPatterns(value, context.alias);
+        } else if (criterion === 'user') {
+          matched = matchesHostPatterns(value, context.settings.get('user') || localUser);
+        } else if (criterion === 'localuser') {
+          matched = matchesHostPatterns(value, localUser);
+        } else {
+          // exec commands aren't run from here, and localnetwork/tagged aren't tracked
+          matched = false;
+        }
+      }
+      
+      // Keep going after a miss so a later "final" still requests the second pass
+      result = result && (negated ? !matched : matched);
+    }
+    
+    return result;
+  }
+
+  setOption(context, keyword, args) {
+    if (MULTI_VALUE_KEYWORDS.has(keyword)) {
+      const values = context.settings.get(keyword) || [];
+      context.settings.set(keyword, values.concat(args));
+      return;
+    }
+    if (context.settings.has(keyword)) return;
+    
+    const value = args.join(' ');
+    context.settings.set(keyword, value);
+    // Later "Match host" lines test the real hostname
+    if (keyword === 'hostname') {
+      context.host = expandTokens(value, { '%': '%', h: context.alias });
+    }
+  }
+
+  // Effective connection settings for an alias, in the shape of a connection config
+  async getHostSettings(alias, depth = 0) {
+    const { settings, host } = await this.resolveOptions(alias);
+    const localUser = os.userInfo().username;
+    const username = settings.get('user');
+    const port = parseInt(settings.get('port')) || undefined;
+    
+    const tokens = {
+      '%': '%',
+      d: os.homedir(),
+      h: host,
+      n: alias,
+      p: String(port || 22),
+      r: username || localUser,
+      u: localUser,
+      l: os.hostname()
+    };
+    const identityFiles = (settings.get('identityfile') || [])
+      .filter(file => file.toLowerCase() !== 'none')
+      .map(file => expandHome(expandTokens(file, tokens)));
+    
+    let privateKeyPath;
+    for (const file of identityFiles) {
+      if (await fileExists(file)) {
+        privateKeyPath = file;
+        break;
+      }
+    }
+    
+    const agentAvailable = !!process.env.SSH_AUTH_SOCK && (settings.get('identityagent') || '').toLowerCase() !== 'none';
+    let authType = 'password';
+    if (privateKeyPath) {
+      authType = 'key';
+    } else if (agentAvailable) {
+      authType = 'agent';
+    }
+    
+    return {
+      alias,
+      host,
+      port,
+      username,
+      authType,
+      privateKeyPath,
+      identityFiles,
+      agentForward: (settings.get('forwardagent') || '').toLowerCase() === 'yes',
+      jumpHosts: await this.resolveJumpHosts(settings.get('proxyjump'), depth)
+    };
+  }
+
+  // Each ProxyJump entry is itself looked up in the config, including its own
+  // ProxyJump, so the chain comes out in connection order
+  async resolveJumpHosts(proxyJump, depth) {
+    if (!proxyJump || proxyJump.toLowerCase() === 'none') return [];
+    if (depth >= MAX_JUMP_DEPTH) {
+      throw new Error('ProxyJump chain in ~/.ssh/config is too deep (is there a loop?)');
+    }
+    
+    const jumpHosts = [];
+    for (const spec of proxyJump.split(',')) {
+      const parsed = parseJumpSpec(spec.trim());
+      if (!parsed) continue;
+      
+      const hop = await this.getHostSettings(parsed.host, depth + 1);
+      jumpHosts.push(...hop.jumpHosts);
+      
+      const saved = {
+        host: hop.host,
+        port: parsed.port || hop.port || 22,
+        username: parsed.username || hop.username || os.userInfo().username,
+        authType: hop.authType
+      };
+      if (hop.privateKeyPath) {
+        saved.privateKeyPath = hop.privateKeyPath;
+      }
+      jumpHosts.push(saved);
+    }
+    return jumpHosts;
+  }
+
+  // Concrete aliases from Host lines (no wildcards or negations), for quick connect
+  async listHosts() {
+    const aliases = new Set();
+    await this.collectAliases(this.filePath, aliases, 0);
+    
+    const hosts = [];
+    for (const alias of aliases) {
+      const { settings, host } = await this.resolveOptions(alias);
+      hosts.push({ alias, host, port: parseInt(settings.get('port')) || undefined, username: settings.get('user') });
+    }
+    return hosts;
+  }
+
+  async collectAliases(filePath, aliases, depth) {
+    if (depth > MAX_INCLUDE_DEPTH) return;
+    
+    for (const { keyword, args } of await this.readEntries(filePath)) {
+      if (keyword === 'host') {
+        args.filter(pattern => !/[*?!]/.test(pattern)).forEach(alias => aliases.add(alias));
+      } else if (keyword === 'include') {
+        for (const pattern of args) {
+          for (const file of await this.expandInclude(pattern)) {
+            await this.collectAliases(file, aliases, depth + 1);
+          }
+        }
+      }
+    }
+  }
+
+  // Fill in what an SFTP config leaves open from ~/.ssh/config. Values entered in
+  // the connection dialog win, the way command line options do for ssh.
+  async applyToConnection(config) {
+    const resolved = await this.getHostSettings(config.host);
+    const applied = {
+      ...config,
+      host: resolved.host,
+      port: config.port || resolved.port,
+      username: config.username || resolved.username || os.userInfo().username
+    };
+    
+    if (!config.password && !config.privateKeyPath && config.authType !== 'agent') {
+      if (resolved.authType === 'key') {
+        applied.privateKeyPath = resolved.privateKeyPath;
+      } else if (resolved.authType === 'agent') {
+        applied.authType = 'agent';
+      }
+    }
+    
+    if (config.agentForward === undefined) {
+      applied.agentForward = resolved.agentForward;
+    }
+    
+    if ((!config.jumpHosts || config.jumpHosts.length === 0) && resolved.jumpHosts.length > 0) {
+      applied.jumpHosts = resolved.jumpHosts;
+    }
+    
+    return applied;
+  }
+}
+
+module.exports = { SSHConfigManager };
\ No newline at end of file
@@ -0,0 +1,82 @@
+// Tracks in-flight transfers by the renderer's transfer id so they can be paused,
+// resumed or cancelled while the bytes are still flowing
+class TransferRegistry {
+  constructor() {
+    this.transfers = new Map();
+  }
+
+  register(transferId) {
+    const transfer = {
+      id: transferId,
+      controller: new AbortController(),
+      stream: null,
+      paused: false
+    };
+    
+    this.transfers.set(transferId, transfer);
+    return transfer;
+  }
+
+  unregister(transferId) {
+    this.transfers.delete(transferId);
+  }
+
+  // Options for ConnectionManager.uploadFile/downloadFile
+  getTransferOptions(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) return {};
+    
+    return {
+      signal: transfer.controller.signal,
+      onStream: (stream) => this.attachStream(transferId, stream)
+    };
+  }
+
+  attachStream(transferId, stream) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) return;
+    
+    transfer.stream = stream;
+    // A pause may arrive before the data stream exists
+    if (transfer.paused) {
+      stream.hold();
+    }
+  }
+
+  pause(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) return false;
+    
+    transfer.paused = true;
+    if (transfer.stream) {
+      transfer.stream.hold();
+    }
+    return true;
+  }
+
+  resume(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) return false;
+    
+    transfer.paused = false;
+    if (transfer.stream) {
+      transfer.stream.release();
+    }
+    return true;
+  }
+
+  cancel(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) return false;
+    
+    transfer.controller.abort();
+    return true;
+  }
+
+  isCancelled(transferId) {
+    const transfer = this.transfers.get(transferId);
+    return !!transfer && transfer.controller.signal.aborted;
+  }
+}
+
+module.exports = { TransferRegistry };
\ No newline at end of file
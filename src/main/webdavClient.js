@@ -0,0 +1,357 @@
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const crypto = require('crypto');
+const path = require('path');
+const { connectThroughProxy } = require('./proxyClient');
+const { xmlElements, xmlText } = require('./xmlUtils');
+
+// How long a PUT waits for "100 Continue" before sending the body anyway, like curl
+const CONTINUE_TIMEOUT = 1000;
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>' +
+  '<d:propfind xmlns:d="DAV:"><d:prop>' +
+  '<d:resourcetype/><d:getcontentlength/><d:getlastmodified/>' +
+  '</d:prop></d:propfind>';
+
+// Split a PROPFIND multistatus into { href, type, size, modifiedAt } entries. Only
+// the propstat with a 200 status carries real values.
+function parseMultistatus(xml) {
+  return xmlElements(xml, 'response').map((response) => {
+    const props = xmlElements(response, 'propstat')
+      .filter(propstat => / 200 /.test(xmlText(propstat, 'status') || ' 200 '))
+      .join('');
+    const resourceType = xmlElements(props, 'resourcetype')[0] || '';
+    const modified = xmlText(props, 'getlastmodified');
+    
+    return {
+      href: xmlText(response, 'href'),
+      type: /<(?:[\w.-]+:)?collection\b/.test(resourceType) ? 'directory' : 'file',
+      size: parseInt(xmlText(props, 'getcontentlength')) || 0,
+      modifiedAt: modified ? new Date(modified) : null
+    };
+  });
+}
+
+// Parameters of the Digest challenge in a WWW-Authenticate header, or null if
+// the server only offers Basic
+function parseDigestChallenge(header) {
+  const match = /Digest\s+(.*)/i.exec(header);
+  if (!match) return null;
+  
+  const params = {};
+  for (const [, key, quoted, plain] of match[1].matchAll(/(\w+)=(?:"([^"]*)"|([^\s,]*))/g)) {
+    const name = key.toLowerCase();
+    if (params[name] === undefined) {
+      params[name] = quoted !== undefined ? quoted : plain;
+    }
+  }
+  return params;
+}
+
+// WebDAV (RFC 4918) over Node's http/https. Paths passed in are relative to the
+// configured base path, so "/" is e.g. Nextcloud's /remote.php/dav/files/<user>.
+class WebDAVClient {
+  constructor(config) {
+    this.secure = config.protocol === 'webdavs';
+    this.transport = this.secure ? https : http;
+    this.host = config.host;
+    this.port = config.port || (this.secure ? 443 : 80);
+    this.username = config.username || '';
+    this.password = config.password || '';
+    this.proxy = config.proxy || null;
+    this.basePath = `/${(config.basePath || '').split('/').filter(Boolean).join('/')}`.replace(/\/$/, '');
+    this.agent = new this.transport.Agent({ keepAlive: true });
+    // Learned from the first 401: { scheme: 'basic' } or the Digest challenge
+    this.auth = null;
+  }
+
+  // Check the server and credentials, and learn the auth scheme for later requests
+  async connect() {
+    const entry = await this.stat('/');
+    if (entry.type !== 'directory') {
+      throw new Error(`${this.basePath || '/'} is not a WebDAV collection`);
+    }
+  }
+
+  close() {
+    this.agent.destroy();
+  }
+
+  // A trailing slash is kept, collections are addressed with one to avoid redirects
+  requestPath(remotePath) {
+    const segments = path.posix.normalize(`/${remotePath}`).split('/').filter(Boolean);
+    const trailingSlash = segments.length > 0 && remotePath.endsWith('/') ? '/' : '';
+    return `${this.basePath}/${segments.map(encodeURIComponent).join('/')}${trailingSlash}`;
+  }
+
+  // Remote path (relative to the base path) of an href from a multistatus reply
+  hrefToPath(href) {
+    let pathname = href;
+    try {
+      pathname = new URL(href, `http://${this.host}`).pathname;
+    } catch (error) {
+      // Keep the raw href
+    }
+    try {
+      pathname = decodeURIComponent(pathname);
+    } catch (error) {
+      // A stray % that starts no escape; keep the href's path as it is
+    }
+    pathname = pathname.replace(/\/+$/, '');
+    if (this.basePath && pathname.startsWith(this.basePath)) {
+      pathname = pathname.slice(this.basePath.length);
+    }
+    return pathname || '/';
+  }
+
+  authorization(method, requestPath) {
+    if (!this.auth) return null;
+    
+    if (this.auth.scheme === 'basic') {
+      return `Basic ${Buffer.from(`${this.username}:${this.password}`).toString('base64')}`;
+    }
+    
+    const challenge = this.auth;
+    const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+    const hashName = algorithm.startsWith('SHA-256') ? 'sha256' : 'md5';
+    const hash = value => crypto.createHash(hashName).update(value).digest('hex');
+    const cnonce = crypto.randomBytes(8).toString('hex');
+    challenge.nc = (challenge.nc || 0) + 1;
+    const nc = challenge.nc.toString(16).padStart(8, '0');
+    
+    let ha1 = hash(`${this.username}:${challenge.realm}:${this.password}`);
+    if (algorithm.endsWith('-SESS')) {
+      ha1 = hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+    }
+    const ha2 = hash(`${method}:${requestPath}`);
+    const qop = challenge.qop && challenge.qop.split(',').map(value => value.trim()).includes('auth') ? 'auth' : null;
+    const response = qop
+      ? hash(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+      : hash(`${ha1}:${challenge.nonce}:${ha2}`);
+    
+    const fields = [
+      `username="${this.username}"`,
+      `realm="${challenge.realm}"`,
+      `nonce="${challenge.nonce}"`,
+      `uri="${requestPath}"`,
+      `algorithm=${challenge.algorithm || 'MD5'}`,
+      `response="${response}"`
+    ];
+    if (qop) {
+      fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+    }
+    if (challenge.opaque !== undefined) {
+      fields.push(`opaque="${challenge.opaque}"`);
+    }
+    return `Digest ${fields.join(', ')}`;
+  }
+
+  // Remember the scheme a 401 asks for. Returns false if retrying can't help.
+  acceptChallenge(response) {
+    const header = response.headers['www-authenticate'] || '';
+    const digest = parseDigestChallenge(header);
+    const hadAuth = !!this.auth;
+    
+    if (digest) {
+      // A stale nonce only needs the new one, anything else means wrong credentials
+      const retry = !hadAuth || this.auth.scheme !== 'digest' || /^true$/i.test(digest.stale || '');
+      this.auth = { scheme: 'digest', ...digest };
+      return retry;
+    }
+    if (/Basic/i.test(header)) {
+      this.auth = { scheme: 'basic' };
+      return !hadAuth;
+    }
+    return false;
+  }
+
+  // Send a request and resolve with the response once its headers arrive. body may
+  // be a string, a Buffer or a readable stream; streams are held back until the
+  // server agrees to take them, so an auth challenge doesn't consume the data.
+  request(method, remotePath, { headers = {}, body = null, retried = false } = {}) {
+    const requestPath = this.requestPath(remotePath);
+    const isStream = body && typeof body.pipe === 'function';
+    const requestHeaders = { ...headers };
+    const authorization = this.authorization(method, requestPath);
+    if (authorization) {
+      requestHeaders.Authorization = authorization;
+    }
+    if (isStream) {
+      requestHeaders.Expect = '100-continue';
+    } else if (body !== null) {
+      requestHeaders['Content-Length'] = Buffer.byteLength(body);
+    }
+    
+    const options = {
+      method,
+      host: this.host,
+      port: this.port,
+      path: requestPath,
+      headers: requestHeaders
+    };
+    // Without an agent, Node opens each connection through createConnection
+    if (!this.proxy) {
+      options.agent = this.agent;
+    } else {
+      options.createConnection = (connectOptions, callback) => {
+        connectThroughProxy(this.proxy, this.host, this.port).then((socket) => {
+          callback(null, this.secure ? tls.connect({ socket, servername: this.host }) : socket);
+        }, callback);
+      };
+    }
+    
+    return new Promise((resolve, reject) => {
+      const req = this.transport.request(options);
+      let bodySent = false;
+      let continueTimer = null;
+      
+      const sendBody = () => {
+        if (bodySent) return;
+        bodySent = true;
+        clearTimeout(continueTimer);
+        body.on('error', error => req.destroy(error));
+        body.pipe(req);
+      };
+      
+      req.on('error', (error) => {
+        clearTimeout(continueTimer);
+        reject(error);
+      });
+      req.on('response', (response) => {
+        clearTimeout(continueTimer);
+        if (response.statusCode !== 401 || retried) {
+          resolve(response);
+          return;
+        }
+        
+        response.resume();
+        if (!this.acceptChallenge(response) || (isStream && bodySent)) {
+          resolve(response);
+          return;
+        }
+        req.destroy();
+        this.request(method, remotePath, { headers, body, retried: true }).then(resolve, reject);
+      });
+      
+      if (isStream) {
+        req.on('continue', sendBody);
+        continueTimer = setTimeout(sendBody, CONTINUE_TIMEOUT);
+        req.flushHeaders();
+      } else {
+        req.end(body === null ? undefined : body);
+      }
+    });
+  }
+
+  // Request, read the whole reply and fail on an error status
+  async send(method, remotePath, options = {}) {
+    const response = await this.request(method, remotePath, options);
+    const chunks = [];
+    for await (const chunk of response) {
+      chunks.push(chunk);
+    }
+    
+    if (response.statusCode >= 400) {
+      throw this.statusError(method, remotePath, response);
+    }
+    return { status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks).toString() };
+  }
+
+  statusError(method, remotePath, response) {
+    const reasons = {
+      401: 'authentication failed',
+      403: 'permission denied',
+      404: 'not found',
+      405: 'not allowed here',
+      409: 'the parent folder does not exist',
+      423: 'the resource is locked',
+      507: 'the server is out of space'
+    };
+    const reason = reasons[response.statusCode] || response.statusMessage;
+    const error = new Error(`${method} ${remotePath}: ${response.statusCode} ${reason}`);
+    error.status = response.statusCode;
+    return error;
+  }
+
+  async propfind(remotePath, depth) {
+    const { body } = await this.send('PROPFIND', remotePath, {
+      headers: { Depth: String(depth), 'Content-Type': 'application/xml; charset=utf-8' },
+      body: PROPFIND_BODY
+    });
+    return parseMultistatus(body).map(entry => ({ ...entry, path: this.hrefToPath(entry.href || '') }));
+  }
+
+  async list(remotePath) {
+    const target = this.hrefToPath(this.requestPath(remotePath));
+    const entries = await this.propfind(`${remotePath.replace(/\/+$/, '')}/`, 1);
+    
+    // The collection itself is part of the reply
+    return entries
+      .filter(entry => entry.path !== target)
+      .map(entry => ({
+        name: path.posix.basename(entry.path),
+        type: entry.type,
+        size: entry.size,
+        modifiedAt: entry.modifiedAt
+      }));
+  }
+
+  async stat(remotePath) {
+    const [entry] = await this.propfind(remotePath, 0);
+    if (!entry) {
+      throw new Error(`PROPFIND ${remotePath}: empty reply`);
+    }
+    return entry;
+  }
+
+  // Resolves with the GET response; start asks for a byte range, which the server
+  // may ignore (status 200 instead of 206)
+  async openDownload(remotePath, start = 0) {
+    const headers = start > 0 ? { Range: `bytes=${start}-` } : {};
+    const response = await this.request('GET', remotePath, { headers });
+    if (response.statusCode >= 400) {
+      response.resume();
+      throw this.statusError('GET', remotePath, response);
+    }
+    return response;
+  }
+
+  // Without a size the body is sent chunked
+  async upload(remotePath, source, size = null) {
+    const headers = { 'Content-Type': 'application/octet-stream' };
+    if (size !== null) {
+      headers['Content-Length'] = size;
+    }
+    const response = await this.request('PUT', remotePath, {
+      headers,
+      body: source
+    });
+    response.resume();
+    if (response.statusCode >= 400) {
+      source.destroy();
+      throw this.statusError('PUT', remotePath, response);
+    }
+  }
+
+  async mkdir(remotePath) {
+    await this.send('MKCOL', `${remotePath.replace(/\/+$/, '')}/`);
+  }
+
+  async move(oldPath, newPath) {
+    const destination = `${this.secure ? 'https' : 'http'}://${this.host}:${this.port}${this.requestPath(newPath)}`;
+    await this.send('MOVE', oldPath, { headers: { Destination: destination, Overwrite: 'T' } });
+  }
+
+  // Collections are copied with all their members
+  async copy(oldPath, newPath) {
+    const destination = `${this.secure ? 'https' : 'http'}://${this.host}:${this.port}${this.requestPath(newPath)}`;
+    await this.send('COPY', oldPath, { headers: { Destination: destination, Overwrite: 'T', Depth: 'infinity' } });
+  }
+
+  async remove(remotePath) {
+    await this.send('DELETE', remotePath);
+  }
+}
+
+module.exports = { WebDAVClient };
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Just enough XML for the replies of WebDAV and S3 servers: no DTDs, CDATA or
+// namespace resolution, elements are matched by local name
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1)));
+    }
+    return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+  });
+}
+
+// Contents of every <prefix:name> element, whatever namespace prefix the server uses
+function xmlElements(xml, name) {
+  const regex = new RegExp(`<(?:[\\w.-]+:)?${name}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}\\s*>)`, 'g');
+  return Array.from(xml.matchAll(regex), match => match[1] || '');
+}
+
+function xmlText(xml, name) {
+  const [element] = xmlElements(xml, name);
+  return element === undefined ? null : decodeXml(element.trim());
+}
+
+module.exports = { decodeXml, xmlElements, xmlText };
\ No newline at end of file
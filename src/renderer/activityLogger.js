@@ -135,7 +135,7 @@ class ActivityLogger {
     if (log.details && Object.keys(log.details).length > 0) {
       const detailsText = Object.entries(log.details)
         .map(([key, value]) => {
-          if (key === 'size' && typeof value === 'number') {
+          if ((key === 'size' || key === 'sent' || key === 'saved') && typeof value === 'number') {
             return `<span>${key}: ${this.formatSize(value)}</span>`;
           } else if (key === 'speed' && typeof value === 'number') {
             return `<span>${key}: ${this.formatSpeed(value)}</span>`;
@@ -31,9 +31,12 @@ let sortOrders = {
 };
 let currentFilterPanel = null;
 
+const DEFAULT_PORTS = { ftp: 21, ftps: 21, sftp: 22, webdav: 80, webdavs: 443 };
+
 document.addEventListener('DOMContentLoaded', () => {
   setupEventListeners();
   setupDragAndDrop();
+  setupTabDropTargets();
   setupContextMenu();
   
   // Initialize theme
@@ -63,7 +66,14 @@ document.addEventListener('DOMContentLoaded', () => {
   // Create initial tab
   tabManager.createTab();
   
+  // Bring back transfers that were unfinished when the app last closed
+  const restoredCount = transferQueue.restoreQueue();
+  if (restoredCount > 0) {
+    updateStatus(`${restoredCount} unfinished transfer(s) restored - connect and resume them from the queue`);
+  }
+  
   loadLocalDirectory('/');
+  loadProtocolOptions();
 });
 
 function setupEventListeners() {
@@ -133,6 +143,8 @@ function setupEventListeners() {
         document.getElementById('compression-panel').classList.add('active');
       } else if (tabName === 'speed-limits') {
         document.getElementById('speed-limits-panel').classList.add('active');
+      } else if (tabName === 'proxy') {
+        document.getElementById('proxy-panel').classList.add('active');
       } else if (tabName === 'appearance') {
         document.getElementById('appearance-panel').classList.add('active');
       }
@@ -228,11 +240,33 @@ function setupEventListeners() {
     }
   });
   
+  // A dropped connection being logged in again by the main process
+  ipcRenderer.on('connection-state', (event, connectionId, state, detail) => {
+    tabManager.getAllTabs()
+      .filter(tab => tab.connection === connectionId)
+      .forEach(tab => handleConnectionState(tab, state, detail));
+  });
+  
+  // Keyboard-interactive authentication (OTP, Duo, ...) from SSH sessions and terminals
+  ipcRenderer.on('keyboard-interactive-prompt', (event, request) => {
+    authPromptQueue.push(request);
+    if (authPromptQueue.length === 1) {
+      showAuthPrompt(request);
+    }
+  });
+  document.getElementById('auth-prompt-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const inputs = document.querySelectorAll('#auth-prompt-fields input');
+    answerAuthPrompt(Array.from(inputs).map(input => input.value));
+  });
+  document.getElementById('btn-cancel-auth-prompt').addEventListener('click', () => answerAuthPrompt(null));
+  
   document.getElementById('auth-type').addEventListener('change', async (e) => {
     const authType = e.target.value;
     document.getElementById('password-group').style.display = authType === 'password' ? 'block' : 'none';
     document.getElementById('key-group').style.display = authType === 'key' ? 'block' : 'none';
     document.getElementById('passphrase-group').style.display = authType === 'key' ? 'block' : 'none';
+    document.getElementById('agent-group').style.display = authType === 'agent' ? 'block' : 'none';
     
     // If switching to key auth, populate available keys
     if (authType === 'key') {
@@ -240,6 +274,11 @@ function setupEventListeners() {
     }
   });
   
+  document.getElementById('protocol').addEventListener('change', updateProtocolFields);
+  document.getElementById('btn-add-jump-host').addEventListener('click', () => addJumpHostRow());
+  document.getElementById('proxy-type').addEventListener('change', () => updateProxyFields('proxy'));
+  document.getElementById('global-proxy-type').addEventListener('change', () => updateProxyFields('global-proxy'));
+  
   document.getElementById('quick-connect').addEventListener('change', async (e) => {
     const profileId = e.target.value;
     if (profileId) {
@@ -460,6 +499,215 @@ async function showConnectionDialog() {
 function hideConnectionDialog() {
   document.getElementById('connection-dialog').style.display = 'none';
   document.getElementById('connection-form').reset();
+  document.getElementById('jump-hosts-list').innerHTML = '';
+  updateProtocolFields();
+  updateProxyFields('proxy');
+}
+
+function addJumpHostRow(hop = {}) {
+  const row = document.createElement('div');
+  row.className = 'jump-host-row';
+  
+  const target = document.createElement('input');
+  target.type = 'text';
+  target.className = 'jump-host-target';
+  target.placeholder = 'user@bastion.example.com:22';
+  if (hop.host) {
+    const user = hop.username ? `${hop.username}@` : '';
+    const port = hop.port && hop.port !== 22 ? `:${hop.port}` : '';
+    target.value = `${user}${hop.host}${port}`;
+  }
+  
+  const auth = document.createElement('select');
+  auth.className = 'jump-host-auth';
+  [['password', 'Password'], ['key', 'Private Key'], ['agent', 'SSH Agent']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    auth.appendChild(option);
+  });
+  auth.value = hop.authType || 'password';
+  
+  const secret = document.createElement('input');
+  secret.className = 'jump-host-secret';
+  
+  // The secret field holds the password or the key path, depending on the hop's auth method
+  const updateSecretField = () => {
+    secret.style.display = auth.value === 'agent' ? 'none' : '';
+    secret.type = auth.value === 'password' ? 'password' : 'text';
+    secret.placeholder = auth.value === 'password' ? 'Password' : '/home/user/.ssh/id_rsa';
+  };
+  auth.addEventListener('change', () => {
+    secret.value = '';
+    updateSecretField();
+  });
+  updateSecretField();
+  secret.value = (auth.value === 'key' ? hop.privateKeyPath : hop.password) || '';
+  
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'jump-host-remove';
+  remove.textContent = '✕';
+  remove.title = 'Remove jump host';
+  remove.addEventListener('click', () => row.remove());
+  
+  row.appendChild(target);
+  row.appendChild(auth);
+  row.appendChild(secret);
+  row.appendChild(remove);
+  document.getElementById('jump-hosts-list').appendChild(row);
+}
+
+// Read the jump host rows as [user@]host[:port] plus per-hop auth
+function readJumpHosts(defaultUsername) {
+  const hops = [];
+  
+  document.querySelectorAll('#jump-hosts-list .jump-host-row').forEach(row => {
+    const spec = row.querySelector('.jump-host-target').value.trim();
+    const match = spec.match(/^(?:([^@]+)@)?([^:@]+)(?::(\d+))?$/);
+    if (!match) return;
+    
+    const hop = {
+      host: match[2],
+      port: match[3] ? parseInt(match[3]) : 22,
+      username: match[1] || defaultUsername,
+      authType: row.querySelector('.jump-host-auth').value
+    };
+    
+    const secret = row.querySelector('.jump-host-secret').value;
+    if (hop.authType === 'password') {
+      hop.password = secret;
+    } else if (hop.authType === 'key') {
+      hop.privateKeyPath = secret;
+    }
+    
+    hops.push(hop);
+  });
+  
+  return hops;
+}
+
+// The proxy inputs are "<prefix>-type", "<prefix>-host" and so on, both in the
+// connection form ('proxy') and in the settings dialog ('global-proxy')
+function readProxyFields(prefix) {
+  const type = document.getElementById(`${prefix}-type`).value;
+  if (type === 'global' || type === 'none') {
+    return { type };
+  }
+  
+  return {
+    type,
+    host: document.getElementById(`${prefix}-host`).value.trim(),
+    port: parseInt(document.getElementById(`${prefix}-port`).value) || undefined,
+    username: document.getElementById(`${prefix}-username`).value.trim() || undefined,
+    password: document.getElementById(`${prefix}-password`).value || undefined
+  };
+}
+
+function fillProxyFields(prefix, proxy) {
+  document.getElementById(`${prefix}-type`).value = proxy.type;
+  document.getElementById(`${prefix}-host`).value = proxy.host || '';
+  document.getElementById(`${prefix}-port`).value = proxy.port || '';
+  document.getElementById(`${prefix}-username`).value = proxy.username || '';
+  document.getElementById(`${prefix}-password`).value = proxy.password || '';
+  updateProxyFields(prefix);
+}
+
+// Show the fields that only apply to some protocols
+function updateProtocolFields() {
+  const protocol = document.getElementById('protocol').value;
+  const isWebDav = protocol === 'webdav' || protocol === 'webdavs';
+  const isS3 = protocol === 's3';
+  
+  document.getElementById('base-path-group').style.display = isWebDav || isS3 ? '' : 'none';
+  document.getElementById('s3-group').style.display = isS3 ? '' : 'none';
+  document.getElementById('delta-upload-group').style.display = protocol === 'sftp' ? '' : 'none';
+  document.querySelector('label[for="base-path"]').textContent = isS3 ? 'Bucket (optional):' : 'Path on server:';
+  document.getElementById('base-path').placeholder = isS3 ? 'Leave empty to list all buckets' : '/remote.php/dav/files/username';
+  // S3 signs requests with an access key pair rather than a login
+  document.querySelector('label[for="username"]').textContent = isS3 ? 'Access key ID:' : 'Username:';
+  document.querySelector('label[for="password"]').textContent = isS3 ? 'Secret access key:' : 'Password:';
+}
+
+function readProtocolFields(formData, config) {
+  if (config.protocol === 'webdav' || config.protocol === 'webdavs') {
+    config.basePath = formData.get('basePath');
+  } else if (config.protocol === 's3') {
+    config.basePath = formData.get('basePath');
+    config.region = formData.get('region') || 'us-east-1';
+    config.pathStyle = formData.get('pathStyle') === 'on';
+    config.secure = formData.get('secure') === 'on';
+  } else if (config.protocol === 'sftp') {
+    config.deltaUploads = formData.get('deltaUploads') === 'on';
+  }
+}
+
+function updateProxyFields(prefix) {
+  const type = document.getElementById(`${prefix}-type`).value;
+  document.getElementById(`${prefix}-fields`).style.display = type === 'global' || type === 'none' ? 'none' : '';
+}
+
+// The proxy a connection actually uses: its own, the global one, or none (null)
+function resolveProxy(proxy) {
+  const setting = proxy && proxy.type ? proxy : { type: 'global' };
+  const effective = setting.type === 'global'
+    ? JSON.parse(localStorage.getItem('proxySettings') || '{}')
+    : setting;
+  
+  if (!effective.type || effective.type === 'none' || !effective.host) {
+    return null;
+  }
+  return effective;
+}
+
+// Whether a connection uploads under a temporary name: its own setting or the global one
+function resolveAtomicUploads(setting) {
+  if (setting === 'on' || setting === 'off') {
+    return setting === 'on';
+  }
+  const generalSettings = JSON.parse(localStorage.getItem('generalSettings') || '{}');
+  return generalSettings.atomicUploads === true;
+}
+
+// Show a reconnect in the tab bar and log how it went. Once the connection is back,
+// the tab returns to the folder it was showing.
+function handleConnectionState(tab, state, detail) {
+  const host = tab.connectionConfig.host;
+  
+  if (state === 'reconnecting') {
+    if (!tab.connectionState) {
+      activityLogger.addLog('error', `Connection to ${host} lost, reconnecting`, { host });
+    }
+    tabManager.setConnectionState(tab.id, 'reconnecting',
+      `Reconnecting to ${host} (attempt ${detail.attempt} of ${detail.attempts})...`);
+  } else if (state === 'disconnected') {
+    tabManager.setConnectionState(tab.id, 'disconnected', `Disconnected from ${host}: ${detail.error}`);
+    activityLogger.addLog('error', `Lost connection to ${host}`, { host, error: detail.error });
+  } else if (state === 'connected') {
+    tabManager.setConnectionState(tab.id, null, `Connected to ${host}`);
+    activityLogger.addLog('success', `Reconnected to ${host}`, { host });
+    if (tab.id === tabManager.activeTabId) {
+      loadRemoteDirectory(document.getElementById('remote-path').value);
+    }
+  }
+}
+
+// Seconds between keepalives on idle connections, 30 unless set (0 turns them off)
+function getKeepaliveInterval(generalSettings) {
+  return generalSettings.keepaliveInterval === undefined ? 30 : generalSettings.keepaliveInterval;
+}
+
+// Resolve a ~/.ssh/config alias typed into the Host field of an SFTP connection.
+// Anything entered in the form is kept; the config fills in what was left open.
+async function applySshConfig(config) {
+  if (config.protocol !== 'sftp') return;
+  
+  const result = await ipcRenderer.invoke('apply-ssh-config', config);
+  if (result.success) {
+    Object.assign(config, result.config);
+  } else {
+    console.warn('Could not apply ~/.ssh/config:', result.error);
+  }
 }
 
 async function handleConnectionSubmit(e) {
@@ -480,26 +728,42 @@ async function handleConnectionSubmit(e) {
   } else if (authType === 'key') {
     config.privateKeyPath = formData.get('privateKey');
     config.passphrase = formData.get('passphrase');
+  } else if (authType === 'agent') {
+    config.authType = 'agent';
+    config.agentForward = formData.get('agentForward') === 'on';
   }
   
-  // Set default ports if not specified
-  if (!config.port) {
-    if (config.protocol === 'ftp') config.port = 21;
-    else if (config.protocol === 'sftp') config.port = 22;
-    else if (config.protocol === 'ftps') config.port = 21;
+  if (config.protocol === 'sftp') {
+    config.jumpHosts = readJumpHosts(config.username);
   }
+  readProtocolFields(formData, config);
+  config.atomicUpload = formData.get('atomicUpload') || 'global';
   
   const profileName = formData.get('profileName');
   const savePassword = formData.get('savePassword') === 'on';
+  const proxySetting = readProxyFields('proxy');
   
   if (profileName) {
     const profile = {
       name: profileName,
       ...config,
+      proxy: proxySetting,
       authType,
       savePassword
     };
     await ipcRenderer.invoke('save-profile', profile);
+    // Custom commands saved for this profile apply to the connection
+    config.name = profileName;
+  }
+  
+  config.proxy = resolveProxy(proxySetting);
+  
+  // Profiles keep the alias as typed, so later edits to ~/.ssh/config still apply
+  await applySshConfig(config);
+  
+  // Set default ports if not specified
+  if (!config.port) {
+    config.port = DEFAULT_PORTS[config.protocol];
   }
   
   updateStatus('Connecting...');
@@ -507,6 +771,9 @@ async function handleConnectionSubmit(e) {
   // Add general settings to config
   const generalSettings = JSON.parse(localStorage.getItem('generalSettings') || '{}');
   config.preserveTimestamps = generalSettings.preserveTimestamps !== false;
+  config.atomicUploads = resolveAtomicUploads(config.atomicUpload);
+  config.keepaliveInterval = getKeepaliveInterval(generalSettings);
+  config.autoReconnect = generalSettings.autoReconnect !== false;
   
   try {
     const result = await ipcRenderer.invoke('connect-ftp', config);
@@ -520,7 +787,7 @@ async function handleConnectionSubmit(e) {
       activityLogger.addLog('success', `Connected to ${config.host}`, {
         protocol: config.protocol,
         host: config.host,
-        port: config.port || (config.protocol === 'sftp' ? 22 : 21),
+        port: config.port || DEFAULT_PORTS[config.protocol],
         user: config.username
       });
       
@@ -531,6 +798,7 @@ async function handleConnectionSubmit(e) {
         title: config.host
       });
       tabManager.updateTabTitle(tabManager.activeTabId, config.host);
+      const capabilities = await loadConnectionCapabilities();
       
       updateConnectionStatus(`Connected to ${config.host}`);
       updateStatus('Ready'); // Clear the "Connecting..." status
@@ -538,9 +806,9 @@ async function handleConnectionSubmit(e) {
       hideConnectionDialog();
       await loadRemoteDirectory('/');
       
-      if (config.protocol === 'sftp') {
+      if (capabilities && capabilities.terminal) {
         showTerminal();
-        await initializeTerminal(config);
+        await initializeTerminal(currentConnection);
       }
     } else {
       showError(`Connection failed: ${result.error}`);
@@ -573,6 +841,7 @@ async function disconnect() {
     tabManager.updateCurrentTab({
       connection: null,
       connectionConfig: null,
+      capabilities: null,
       title: 'Not connected'
     });
     tabManager.updateTabTitle(tabManager.activeTabId, 'Not connected');
@@ -586,6 +855,90 @@ async function disconnect() {
   }
 }
 
+// One keyboard-interactive round is shown at a time; later requests wait their turn
+const authPromptQueue = [];
+
+function showAuthPrompt(request) {
+  document.getElementById('auth-prompt-title').textContent = request.name || 'Authentication Required';
+  document.getElementById('auth-prompt-host').textContent = `${request.username}@${request.host}`;
+  
+  const instructions = document.getElementById('auth-prompt-instructions');
+  instructions.textContent = request.instructions || '';
+  instructions.style.display = request.instructions ? 'block' : 'none';
+  
+  const fields = document.getElementById('auth-prompt-fields');
+  fields.innerHTML = '';
+  request.prompts.forEach((prompt, index) => {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    
+    const label = document.createElement('label');
+    label.htmlFor = `auth-prompt-${index}`;
+    label.textContent = prompt.prompt;
+    
+    // Prompts without echo (passwords, some OTPs) must stay hidden
+    const input = document.createElement('input');
+    input.id = `auth-prompt-${index}`;
+    input.type = prompt.echo ? 'text' : 'password';
+    input.autocomplete = 'off';
+    
+    group.appendChild(label);
+    group.appendChild(input);
+    fields.appendChild(group);
+  });
+  
+  document.getElementById('auth-prompt-dialog').style.display = 'flex';
+  const firstInput = fields.querySelector('input');
+  if (firstInput) {
+    firstInput.focus();
+  }
+}
+
+function answerAuthPrompt(answers) {
+  const request = authPromptQueue.shift();
+  if (!request) return;
+  
+  ipcRenderer.send('keyboard-interactive-response', request.requestId, answers);
+  document.getElementById('auth-prompt-fields').innerHTML = '';
+  
+  if (authPromptQueue.length > 0) {
+    showAuthPrompt(authPromptQueue[0]);
+  } else {
+    document.getElementById('auth-prompt-dialog').style.display = 'none';
+  }
+}
+
+// Offer protocols whose drivers were registered in the main process but that the
+// connection form doesn't list yet
+async function loadProtocolOptions() {
+  const result = await ipcRenderer.invoke('get-protocols');
+  if (!result.success) return;
+  
+  const select = document.getElementById('protocol');
+  const listed = new Set(Array.from(select.options).map(option => option.value));
+  result.protocols.filter(protocol => !listed.has(protocol)).forEach(protocol => {
+    const option = document.createElement('option');
+    option.value = protocol;
+    option.textContent = protocol.toUpperCase();
+    select.appendChild(option);
+  });
+}
+
+async function loadConnectionCapabilities() {
+  if (!currentConnection) return null;
+  
+  const result = await ipcRenderer.invoke('get-capabilities', currentConnection);
+  const capabilities = result.success ? result.capabilities : null;
+  tabManager.updateCurrentTab({ capabilities });
+  return capabilities;
+}
+
+function hasCapability(name) {
+  const tab = tabManager && tabManager.getCurrentTab();
+  // Unknown capabilities are assumed supported so the server gets to decide
+  return !tab || !tab.capabilities || tab.capabilities[name] !== false;
+}
+
 async function loadLocalDirectory(dirPath) {
   try {
     const files = await fs.readdir(dirPath);
@@ -733,11 +1086,16 @@ function addFileItem(container, name, type, size, isLocal, onAction) {
     if (e.detail === 1) {
       setTimeout(() => {
         if (!item.dataset.doubleClicked) {
-          container.querySelectorAll('.file-item').forEach(el => el.classList.remove('selected'));
-          item.classList.add('selected');
+          // Ctrl/Cmd+click adds remote items to the selection, for custom commands
+          if ((e.ctrlKey || e.metaKey) && container.id === 'remote-file-list' && name !== '..') {
+            item.classList.toggle('selected');
+          } else {
+            container.querySelectorAll('.file-item').forEach(el => el.classList.remove('selected'));
+            item.classList.add('selected');
+          }
           
           // For files, call the selection action
-          if (type === 'file') {
+          if (type === 'file' && item.classList.contains('selected')) {
             onAction();
           }
         }
@@ -921,6 +1279,8 @@ function switchBottomTab(tabName) {
   } else if (tabName === 'log') {
     document.getElementById('log-panel').classList.add('active');
     activityLogger.updateDisplay();
+  } else if (tabName === 'output') {
+    document.getElementById('output-panel').classList.add('active');
   }
 }
 
@@ -935,9 +1295,9 @@ function toggleTerminal() {
   }
 }
 
-async function initializeTerminal(config) {
-  // Pass the full config including authentication details
-  const result = await ipcRenderer.invoke('create-terminal', config);
+async function initializeTerminal(connectionId) {
+  // The shell opens on the tab's own SSH session
+  const result = await ipcRenderer.invoke('create-terminal', connectionId);
   if (!result.success) {
     console.error('Failed to create terminal:', result.error);
     document.getElementById('terminal').innerHTML = `<div style="padding: 20px; color: #ff6b6b;">Terminal error: ${result.error}</div>`;
@@ -1089,19 +1449,24 @@ async function connectToProfile(profileId) {
   const profile = result.profile;
   hideSavedConnections();
   
+  await applySshConfig(profile);
+  
   // Ensure port is set
   if (!profile.port) {
-    if (profile.protocol === 'ftp') profile.port = 21;
-    else if (profile.protocol === 'sftp') profile.port = 22;
-    else if (profile.protocol === 'ftps') profile.port = 21;
+    profile.port = DEFAULT_PORTS[profile.protocol];
   }
   
+  profile.proxy = resolveProxy(profile.proxy);
+  
   console.log('Connecting with saved profile:', { ...profile, password: '***' });
   updateStatus('Connecting...');
   
   // Add general settings to profile
   const generalSettings = JSON.parse(localStorage.getItem('generalSettings') || '{}');
   profile.preserveTimestamps = generalSettings.preserveTimestamps !== false;
+  profile.atomicUploads = resolveAtomicUploads(profile.atomicUpload);
+  profile.keepaliveInterval = getKeepaliveInterval(generalSettings);
+  profile.autoReconnect = generalSettings.autoReconnect !== false;
   
   try {
     const connectResult = await ipcRenderer.invoke('connect-ftp', profile);
@@ -1118,15 +1483,16 @@ async function connectToProfile(profileId) {
         title: profile.host
       });
       tabManager.updateTabTitle(tabManager.activeTabId, profile.host);
+      const capabilities = await loadConnectionCapabilities();
       
       updateConnectionStatus(`Connected to ${profile.host}`);
       updateStatus('Ready'); // Clear the "Connecting..." status
       enableControls(true);
       await loadRemoteDirectory('/');
       
-      if (profile.protocol === 'sftp') {
+      if (capabilities && capabilities.terminal) {
         showTerminal();
-        await initializeTerminal(profile);
+        await initializeTerminal(currentConnection);
       }
     } else {
       showError(`Connection failed: ${connectResult.error}`);
@@ -1157,33 +1523,57 @@ async function testConnection() {
   const config = {
     protocol: formData.get('protocol'),
     host: formData.get('host'),
-    port: parseInt(formData.get('port')) || (formData.get('protocol') === 'sftp' ? 22 : 21),
+    port: parseInt(formData.get('port')) || undefined,
     username: formData.get('username')
   };
   
   if (authType === 'password') {
     config.password = formData.get('password');
+  } else if (authType === 'agent') {
+    config.authType = 'agent';
+  }
+  
+  if (config.protocol === 'sftp') {
+    config.jumpHosts = readJumpHosts(config.username);
+  }
+  readProtocolFields(formData, config);
+  
+  config.proxy = resolveProxy(readProxyFields('proxy'));
+  
+  await applySshConfig(config);
+  if (!config.port) {
+    config.port = DEFAULT_PORTS[config.protocol];
   }
   
   updateStatus('Testing connection...');
   
-  if (config.protocol === 'sftp') {
-    try {
-      console.log('Testing SSH connection with config:', { ...config, password: '***' });
-      const result = await ipcRenderer.invoke('test-ssh-connection', config);
-      
-      if (result.success) {
-        updateStatus('Test successful! SSH connection works.');
+  const tests = {
+    sftp: ['test-ssh-connection', 'SSH'],
+    webdav: ['test-webdav-connection', 'WebDAV'],
+    webdavs: ['test-webdav-connection', 'WebDAV'],
+    s3: ['test-s3-connection', 'S3']
+  };
+  const [channel, label] = tests[config.protocol] || ['test-ftp-connection', 'FTP'];
+  try {
+    console.log('Testing connection with config:', { ...config, password: '***', proxy: config.proxy && config.proxy.host });
+    const result = await ipcRenderer.invoke(channel, config);
+    
+    if (result.success) {
+      updateStatus(`Test successful! ${label} connection works.`);
+    } else {
+      // Say which side failed so proxy problems aren't mistaken for server problems
+      if (result.failedAt === 'proxy') {
+        updateStatus(`Test failed at the proxy: ${result.error}`);
+      } else if (config.proxy) {
+        updateStatus(`Proxy OK, but the server connection failed: ${result.error}`);
       } else {
         updateStatus(`Test failed: ${result.error}`);
-        console.error('SSH test failed:', result);
       }
-    } catch (error) {
-      updateStatus(`Test error: ${error.message}`);
-      console.error('Test error:', error);
+      console.error('Connection test failed:', result);
     }
-  } else {
-    updateStatus('Test only available for SFTP connections');
+  } catch (error) {
+    updateStatus(`Test error: ${error.message}`);
+    console.error('Test error:', error);
   }
 }
 
@@ -1273,6 +1663,84 @@ function setupLocalFileDragging() {
   });
 }
 
+function setupRemoteFileDragging() {
+  const remoteItems = document.querySelectorAll('#remote-file-list .file-item');
+  remoteItems.forEach(item => {
+    if (item.dataset.name === '..') return;
+    item.draggable = true;
+    item.addEventListener('dragstart', handleRemoteDragStart);
+  });
+}
+
+// Remote items are dragged onto another tab to copy them to that server
+function handleRemoteDragStart(e) {
+  const fileItem = e.target.closest('.file-item');
+  const file = allRemoteFiles.find(f => f.name === fileItem.dataset.name);
+  if (!file) return;
+  
+  e.dataTransfer.effectAllowed = 'copy';
+  e.dataTransfer.setData('text/plain', JSON.stringify({
+    type: 'remote-file',
+    connectionId: currentConnection,
+    path: file.path,
+    name: file.name,
+    size: file.size,
+    isDirectory: file.type === 'directory'
+  }));
+  
+  fileItem.style.opacity = '0.5';
+  fileItem.addEventListener('dragend', () => {
+    fileItem.style.opacity = '1';
+  }, { once: true });
+}
+
+function setupTabDropTargets() {
+  const tabsContainer = document.getElementById('tabs-container');
+  
+  // Only other connected tabs accept a drop
+  const getDropTab = (e) => {
+    const tabEl = e.target.closest('.tab');
+    const tab = tabEl && tabManager.tabs.get(tabEl.dataset.tabId);
+    if (!tab || !tab.connection || tab.connection === currentConnection) return null;
+    return { tab, tabEl };
+  };
+  
+  tabsContainer.addEventListener('dragover', (e) => {
+    const target = getDropTab(e);
+    if (!target) return;
+    
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    target.tabEl.classList.add('drag-highlight');
+  });
+  
+  tabsContainer.addEventListener('dragleave', (e) => {
+    const tabEl = e.target.closest('.tab');
+    if (tabEl && !tabEl.contains(e.relatedTarget)) {
+      tabEl.classList.remove('drag-highlight');
+    }
+  });
+  
+  tabsContainer.addEventListener('drop', (e) => {
+    const target = getDropTab(e);
+    if (!target) return;
+    
+    e.preventDefault();
+    target.tabEl.classList.remove('drag-highlight');
+    
+    let data = null;
+    try {
+      data = JSON.parse(e.dataTransfer.getData('text/plain'));
+    } catch (err) {
+      return;
+    }
+    
+    if (data && data.type === 'remote-file' && data.connectionId === currentConnection) {
+      copyToConnection(data, target.tab, target.tab.remotePath);
+    }
+  });
+}
+
 function handleDragStart(e) {
   const fileItem = e.target.closest('.file-item');
   const fileName = fileItem.querySelector('.file-item-name').textContent;
@@ -1330,6 +1798,17 @@ async function uploadDroppedFile(filePath, fileName) {
   showQueue();
 }
 
+// Context menu actions that depend on a connection capability
+const REMOTE_ACTION_CAPABILITIES = {
+  rename: 'rename',
+  delete: 'delete',
+  permissions: 'chmod',
+  'custom-commands': 'exec'
+};
+
+// What the context menu offers on the background of the remote list, with no file under it
+const REMOTE_BACKGROUND_ACTIONS = ['custom-commands', 'refresh'];
+
 function setupContextMenu() {
   let currentContextFile = null;
   let currentContextIsRemote = false;
@@ -1341,12 +1820,35 @@ function setupContextMenu() {
     contextMenu.style.display = 'none';
   });
   
+  const showMenu = (e) => {
+    contextMenu.style.left = e.pageX + 'px';
+    contextMenu.style.top = e.pageY + 'px';
+    contextMenu.style.display = 'block';
+  };
+  
   // Setup context menu for file items
   document.addEventListener('contextmenu', (e) => {
     const fileItem = e.target.closest('.file-item');
-    if (!fileItem) return;
+    if (!fileItem) {
+      if (!e.target.closest('#remote-file-list') || !currentConnection) return;
+      
+      // Commands without a file placeholder, like "systemctl restart app", run in the current folder
+      e.preventDefault();
+      currentContextFile = null;
+      currentContextIsRemote = true;
+      contextMenu.querySelectorAll('.context-menu-item, .context-menu-separator').forEach((element) => {
+        element.style.display = REMOTE_BACKGROUND_ACTIONS.includes(element.dataset.action) ? 'block' : 'none';
+      });
+      contextMenu.querySelector('[data-action="custom-commands"]').classList.toggle('disabled', !hasCapability('exec'));
+      showMenu(e);
+      return;
+    }
     
     e.preventDefault();
+    // Bring back what the background menu hid; entries that depend on the file are set below
+    contextMenu.querySelectorAll('.context-menu-item, .context-menu-separator').forEach((element) => {
+      element.style.display = '';
+    });
     
     const fileName = fileItem.querySelector('.file-item-name').textContent;
     const isRemote = fileItem.closest('#remote-file-list') !== null;
@@ -1371,17 +1873,25 @@ function setupContextMenu() {
     contextMenu.querySelector('[data-action="download-folder"]').style.display = isRemote && isDirectory && fileName !== '..' ? 'block' : 'none';
     contextMenu.querySelector('[data-action="upload-folder"]').style.display = !isRemote && isDirectory && fileName !== '..' ? 'block' : 'none';
     contextMenu.querySelector('[data-action="permissions"]').style.display = isRemote ? 'block' : 'none';
+    contextMenu.querySelector('[data-action="custom-commands"]').style.display = isRemote && fileName !== '..' ? 'block' : 'none';
+    contextMenu.querySelector('[data-action="duplicate"]').style.display = isRemote && fileName !== '..' ? 'block' : 'none';
+    contextMenu.querySelector('[data-action="copy-to"]').style.display = isRemote && fileName !== '..' ? 'block' : 'none';
+    contextMenu.querySelector('[data-action="copy-to-connection"]').style.display = isRemote && fileName !== '..' ? 'block' : 'none';
+    contextMenu.querySelector('[data-action="copy-to-connection"]').classList.toggle('disabled', getCopyTargetTabs().length === 0);
     
-    // Position and show menu
-    contextMenu.style.left = e.pageX + 'px';
-    contextMenu.style.top = e.pageY + 'px';
-    contextMenu.style.display = 'block';
+    // Grey out remote operations the connection doesn't support
+    Object.entries(REMOTE_ACTION_CAPABILITIES).forEach(([menuAction, capability]) => {
+      const menuItem = contextMenu.querySelector(`[data-action="${menuAction}"]`);
+      menuItem.classList.toggle('disabled', isRemote && !hasCapability(capability));
+    });
+    
+    showMenu(e);
   });
   
   // Handle context menu clicks
   contextMenu.addEventListener('click', async (e) => {
     const action = e.target.dataset.action;
-    if (!action) return;
+    if (!action || e.target.classList.contains('disabled')) return;
     
     contextMenu.style.display = 'none';
     
@@ -1424,6 +1934,12 @@ function setupContextMenu() {
         }
         break;
         
+      case 'custom-commands':
+        if (currentContextIsRemote) {
+          await showCustomCommandsDialog(getCustomCommandTargets(currentContextFile));
+        }
+        break;
+        
       case 'refresh':
         if (currentContextIsRemote) {
           await loadRemoteDirectory(document.getElementById('remote-path').value);
@@ -1444,6 +1960,24 @@ function setupContextMenu() {
         }
         break;
         
+      case 'duplicate':
+        if (currentContextFile && currentContextIsRemote) {
+          duplicateRemoteFile(currentContextFile);
+        }
+        break;
+        
+      case 'copy-to':
+        if (currentContextFile && currentContextIsRemote) {
+          copyRemoteFileTo(currentContextFile);
+        }
+        break;
+        
+      case 'copy-to-connection':
+        if (currentContextFile && currentContextIsRemote) {
+          showCopyToConnectionDialog(currentContextFile);
+        }
+        break;
+        
       case 'compress-upload':
         if (currentContextFile && !currentContextIsRemote) {
           await compressAndUploadFile(currentContextFile);
@@ -1458,6 +1992,25 @@ function setupContextMenu() {
     }
   });
   
+  // Setup copy to connection dialog
+  document.getElementById('copy-target-tab').addEventListener('change', (e) => {
+    const tab = tabManager.tabs.get(e.target.value);
+    document.getElementById('copy-target-path').value = tab ? tab.remotePath : '/';
+  });
+  document.getElementById('btn-start-copy').addEventListener('click', startCopyToConnection);
+  document.getElementById('btn-cancel-copy').addEventListener('click', () => {
+    document.getElementById('copy-connection-dialog').style.display = 'none';
+  });
+  
+  // Setup custom commands dialog
+  document.getElementById('btn-add-custom-command').addEventListener('click', addCustomCommand);
+  document.getElementById('btn-close-custom-commands').addEventListener('click', () => {
+    document.getElementById('custom-commands-dialog').style.display = 'none';
+  });
+  document.getElementById('btn-clear-output').addEventListener('click', () => {
+    document.getElementById('command-output').innerHTML = '';
+  });
+  
   // Setup permissions dialog
   document.getElementById('btn-apply-permissions').addEventListener('click', applyPermissions);
   document.getElementById('btn-cancel-permissions').addEventListener('click', () => {
@@ -1504,6 +2057,11 @@ async function renameFile(file, isRemote) {
 }
 
 async function deleteFile(file, isRemote) {
+  if (isRemote && file.item && file.item.dataset.type === 'directory') {
+    await deleteRemoteDirectory(file);
+    return;
+  }
+  
   if (!confirm(`Delete ${file.name}?`)) return;
   
   if (isRemote && currentConnection) {
@@ -2196,6 +2754,7 @@ async function loadQuickConnectOptions() {
   while (quickConnectSelect.options.length > 1) {
     quickConnectSelect.remove(1);
   }
+  quickConnectSelect.querySelectorAll('optgroup').forEach(group => group.remove());
   
   // Get recent profiles
   const result = await ipcRenderer.invoke('get-recent-profiles');
@@ -2207,17 +2766,70 @@ async function loadQuickConnectOptions() {
       quickConnectSelect.appendChild(option);
     });
   }
+  
+  // Hosts described in ~/.ssh/config
+  const configResult = await ipcRenderer.invoke('list-ssh-config-hosts');
+  if (configResult.success && configResult.hosts.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = '~/.ssh/config';
+    configResult.hosts.forEach(host => {
+      const option = document.createElement('option');
+      option.value = `ssh-config:${host.alias}`;
+      const user = host.username ? `${host.username}@` : '';
+      option.textContent = host.host === host.alias ? `${user}${host.alias}` : `${host.alias} (${user}${host.host})`;
+      group.appendChild(option);
+    });
+    quickConnectSelect.appendChild(group);
+  }
+}
+
+// Fill the form from a ~/.ssh/config entry. The Host field keeps the alias, which
+// is resolved again on connect, so a profile saved from it follows the config.
+async function loadSshConfigHost(alias) {
+  const result = await ipcRenderer.invoke('get-ssh-config-host', alias);
+  if (!result.success) {
+    showError(`Failed to read ~/.ssh/config: ${result.error}`);
+    return;
+  }
+  
+  const host = result.host;
+  document.getElementById('protocol').value = 'sftp';
+  updateProtocolFields();
+  document.getElementById('host').value = alias;
+  document.getElementById('port').value = host.port || '';
+  document.getElementById('username').value = host.username || '';
+  document.getElementById('auth-type').value = host.authType;
+  document.getElementById('auth-type').dispatchEvent(new Event('change'));
+  document.getElementById('private-key').value = host.privateKeyPath || '';
+  document.getElementById('password').value = '';
+  document.getElementById('agent-forward').checked = host.agentForward;
+  document.getElementById('jump-hosts-list').innerHTML = '';
+  host.jumpHosts.forEach(hop => addJumpHostRow(hop));
+  fillProxyFields('proxy', { type: 'global' });
+  document.getElementById('profile-name').value = '';
+  
+  document.querySelector('#connection-form button[type="submit"]').focus();
 }
 
 async function loadQuickConnectProfile(profileId) {
+  if (profileId.startsWith('ssh-config:')) {
+    await loadSshConfigHost(profileId.slice('ssh-config:'.length));
+    return;
+  }
+  
   const result = await ipcRenderer.invoke('get-profile', profileId);
   if (result.success && result.profile) {
     const profile = result.profile;
     
     // Fill in the form fields
     document.getElementById('protocol').value = profile.protocol;
+    updateProtocolFields();
     document.getElementById('host').value = profile.host;
     document.getElementById('port').value = profile.port || '';
+    document.getElementById('base-path').value = profile.basePath || '';
+    document.getElementById('s3-region').value = profile.region || '';
+    document.getElementById('s3-path-style').checked = profile.pathStyle || false;
+    document.getElementById('s3-secure').checked = profile.secure !== false;
     document.getElementById('username').value = profile.username;
     document.getElementById('auth-type').value = profile.authType || 'password';
     
@@ -2232,6 +2844,12 @@ async function loadQuickConnectProfile(profileId) {
       document.getElementById('password').value = profile.password || '';
     }
     
+    document.getElementById('agent-forward').checked = profile.agentForward || false;
+    document.getElementById('jump-hosts-list').innerHTML = '';
+    (profile.jumpHosts || []).forEach(hop => addJumpHostRow(hop));
+    fillProxyFields('proxy', profile.proxy || { type: 'global' });
+    document.getElementById('atomic-upload').value = profile.atomicUpload || 'global';
+    document.getElementById('delta-uploads').checked = profile.deltaUploads || false;
     document.getElementById('save-password').checked = profile.savePassword || false;
     document.getElementById('profile-name').value = profile.name || '';
     
@@ -2575,6 +3193,11 @@ function displayFiles(files, panel) {
     
     addFileItem(fileList, file.name, file.type, file.size, isRemote, onClick);
   });
+  
+  // Sorting, filtering and searching render the items again, and each needs dragging set up
+  if (panel === 'remote') {
+    setupRemoteFileDragging();
+  }
 }
 
 async function showPermissionsDialog(file) {
@@ -2660,6 +3283,8 @@ async function applyPermissions() {
       await loadRemoteDirectory(document.getElementById('remote-path').value);
     } else {
       showError(`Failed to change permissions: ${result.error}`);
+      // The server may have just told us it doesn't support SITE CHMOD
+      await loadConnectionCapabilities();
     }
   } catch (error) {
     showError(`Error changing permissions: ${error.message}`);
@@ -2667,8 +3292,9 @@ async function applyPermissions() {
 }
 
 async function reconnectTerminal() {
-  if (!currentConnectionConfig || currentConnectionConfig.protocol !== 'sftp') {
-    showError('No SFTP connection to reconnect');
+  const tab = tabManager.getCurrentTab();
+  if (!currentConnection || !tab || !tab.capabilities || !tab.capabilities.terminal) {
+    showError('No SSH connection to reconnect');
     return;
   }
   
@@ -2684,8 +3310,8 @@ async function reconnectTerminal() {
     // Close existing terminal connection
     await ipcRenderer.invoke('close-terminal');
     
-    // Create new terminal connection
-    const result = await ipcRenderer.invoke('create-terminal', currentConnectionConfig);
+    // Open a new shell on the tab's connection
+    const result = await ipcRenderer.invoke('create-terminal', currentConnection);
     
     if (result.success) {
       updateStatus('Terminal reconnected');
@@ -2843,6 +3469,153 @@ async function downloadFolder(remoteFolderPath, folderName) {
   }
 }
 
+// Name for a duplicate next to the original: "notes copy.txt", "notes copy 2.txt", ...
+function getDuplicateName(name, isDirectory) {
+  const extension = isDirectory ? '' : path.extname(name);
+  const base = name.slice(0, name.length - extension.length);
+  const taken = new Set(allRemoteFiles.map(f => f.name));
+  
+  let candidate = `${base} copy${extension}`;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${base} copy ${n}${extension}`;
+  }
+  return candidate;
+}
+
+function duplicateRemoteFile(file) {
+  const isDirectory = file.item.dataset.type === 'directory';
+  queueRemoteCopy(file, path.join(path.dirname(file.path), getDuplicateName(file.name, isDirectory)));
+}
+
+function copyRemoteFileTo(file) {
+  const targetPath = prompt('Copy to:', file.path);
+  if (!targetPath || targetPath.trim() === file.path) return;
+  queueRemoteCopy(file, targetPath.trim());
+}
+
+// The copy is made on the server when it supports that, so it runs as a queue item
+function queueRemoteCopy(file, targetPath) {
+  if (!currentConnection) {
+    showError('No active connection');
+    return;
+  }
+  
+  const remoteFile = allRemoteFiles.find(f => f.path === file.path);
+  transferQueue.addTransfer({
+    type: 'copy',
+    remotePath: file.path,
+    targetPath: targetPath,
+    size: remoteFile ? remoteFile.size : 0,
+    connectionId: currentConnection
+  });
+  
+  updateStatus(`Added copy of ${file.name} to queue`);
+  showQueue();
+}
+
+// Other tabs with an open connection, which remote files can be copied to
+function getCopyTargetTabs() {
+  if (!tabManager) return [];
+  return tabManager.getAllTabs().filter(tab => tab.connection && tab.connection !== currentConnection);
+}
+
+function showCopyToConnectionDialog(file) {
+  const tabs = getCopyTargetTabs();
+  if (tabs.length === 0) {
+    showError('Open another connection to copy to');
+    return;
+  }
+  
+  const select = document.getElementById('copy-target-tab');
+  select.innerHTML = '';
+  tabs.forEach(tab => {
+    const option = document.createElement('option');
+    option.value = tab.id;
+    option.textContent = tab.title;
+    select.appendChild(option);
+  });
+  
+  const dialog = document.getElementById('copy-connection-dialog');
+  const remoteFile = allRemoteFiles.find(f => f.path === file.path);
+  dialog.dataset.file = JSON.stringify({
+    path: file.path,
+    name: file.name,
+    size: remoteFile ? remoteFile.size : 0,
+    isDirectory: file.item.dataset.type === 'directory'
+  });
+  
+  document.getElementById('copy-source-name').textContent = file.name;
+  document.getElementById('copy-target-path').value = tabs[0].remotePath;
+  dialog.style.display = 'flex';
+}
+
+function startCopyToConnection() {
+  const dialog = document.getElementById('copy-connection-dialog');
+  const tab = tabManager.tabs.get(document.getElementById('copy-target-tab').value);
+  const targetDir = document.getElementById('copy-target-path').value.trim() || '/';
+  
+  dialog.style.display = 'none';
+  if (!tab || !tab.connection) {
+    showError('The target connection is no longer open');
+    return;
+  }
+  
+  copyToConnection(JSON.parse(dialog.dataset.file), tab, targetDir);
+}
+
+// Queue a server-to-server copy of a remote file or folder from the current tab into
+// targetDir on another tab's connection. A folder is one queue item, walked and
+// created on the target by the main process.
+function copyToConnection(file, targetTab, targetDir) {
+  if (!currentConnection) {
+    showError('No active connection');
+    return;
+  }
+  
+  transferQueue.addTransfer({
+    type: 'remote-copy',
+    remotePath: file.path,
+    targetPath: path.join(targetDir, file.name),
+    size: file.isDirectory ? 0 : file.size,
+    connectionId: currentConnection,
+    targetConnectionId: targetTab.connection
+  });
+  
+  updateStatus(`Added ${file.name} to queue`);
+  showQueue();
+}
+
+// Non-empty folders are deleted entry by entry as a queue item, after confirming
+// what will be removed
+async function deleteRemoteDirectory(file) {
+  if (!currentConnection) return;
+  
+  updateStatus(`Scanning ${file.name}...`);
+  const scan = await ipcRenderer.invoke('scan-remote-directory', currentConnection, file.path);
+  if (!scan.success) {
+    showError(`Delete failed: ${scan.error}`);
+    return;
+  }
+  updateStatus('Ready');
+  
+  let message = `Delete the folder ${file.name} and everything in it?\n\n` +
+    `${scan.files} files in ${scan.directories} subfolders, ${formatFileSize(scan.size)}`;
+  if (scan.failed.length > 0) {
+    message += `\n\n${scan.failed.length} folders could not be read and may not be deleted.`;
+  }
+  if (!confirm(message)) return;
+  
+  transferQueue.addTransfer({
+    type: 'delete',
+    remotePath: file.path,
+    size: scan.size,
+    connectionId: currentConnection
+  });
+  
+  updateStatus(`Added deletion of ${file.name} to queue`);
+  showQueue();
+}
+
 async function getFilesRecursively(dirPath, fileList = []) {
   try {
     const entries = await fs.readdir(dirPath, { withFileTypes: true });
@@ -2902,6 +3675,7 @@ async function getRemoteFilesRecursively(dirPath, fileList = []) {
 async function showSSHKeysDialog() {
   document.getElementById('ssh-keys-dialog').style.display = 'flex';
   await loadSSHKeys();
+  await loadKnownHosts();
 }
 
 async function loadSSHKeys() {
@@ -3031,6 +3805,86 @@ window.deleteSSHKey = async function(keyId, keyName) {
   }
 };
 
+async function loadKnownHosts() {
+  const result = await ipcRenderer.invoke('list-known-hosts');
+  
+  if (result.success) {
+    displayKnownHosts(result.entries);
+  } else {
+    showError(`Failed to load trusted host keys: ${result.error}`);
+  }
+}
+
+function displayKnownHosts(entries) {
+  const container = document.getElementById('known-hosts-list');
+  
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="empty-ssh-keys">No trusted host keys yet. Keys are added when you accept a server on first connect.</div>';
+    return;
+  }
+  
+  container.innerHTML = '';
+  
+  entries.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'ssh-key-item';
+    
+    const header = document.createElement('div');
+    header.className = 'ssh-key-header';
+    
+    // Hashed entries don't reveal the host name, only the key
+    const name = document.createElement('div');
+    name.className = 'ssh-key-name';
+    name.textContent = entry.hashed ? '(hashed host name)' : entry.hosts;
+    
+    const actions = document.createElement('div');
+    actions.className = 'ssh-key-actions';
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'ssh-key-btn delete';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeKnownHost(entry));
+    actions.appendChild(removeBtn);
+    
+    header.appendChild(name);
+    header.appendChild(actions);
+    
+    const info = document.createElement('div');
+    info.className = 'ssh-key-info';
+    const details = [`Type: ${entry.keyType}`, `known_hosts line ${entry.line}`];
+    if (entry.marker) details.push(`Marker: ${entry.marker}`);
+    if (entry.comment) details.push(`Comment: ${entry.comment}`);
+    details.forEach(text => {
+      const span = document.createElement('span');
+      span.textContent = text;
+      info.appendChild(span);
+    });
+    
+    const fingerprint = document.createElement('div');
+    fingerprint.className = 'ssh-key-fingerprint';
+    fingerprint.textContent = `Fingerprint: ${entry.fingerprint}`;
+    
+    item.appendChild(header);
+    item.appendChild(info);
+    item.appendChild(fingerprint);
+    container.appendChild(item);
+  });
+}
+
+async function removeKnownHost(entry) {
+  const hostName = entry.hashed ? 'this hashed host' : entry.hosts;
+  const confirmed = await showConfirm(`Remove the trusted ${entry.keyType} key for ${hostName}? You will be asked to verify the host key again on the next connection.`);
+  if (!confirmed) return;
+  
+  const result = await ipcRenderer.invoke('remove-known-host', entry.line, entry.fingerprint);
+  if (result.success) {
+    updateStatus('Trusted host key removed');
+  } else {
+    showError(`Failed to remove host key: ${result.error}`);
+  }
+  await loadKnownHosts();
+}
+
 function showConfirm(message) {
   // Simple confirm dialog - you could make this prettier
   return new Promise(resolve => {
@@ -3074,6 +3928,15 @@ async function showSettingsDialog() {
   document.getElementById('preserve-timestamps').checked = generalSettings.preserveTimestamps !== false;
   document.getElementById('overwrite-existing').checked = generalSettings.overwriteExisting !== false;
   document.getElementById('follow-symlinks').checked = generalSettings.followSymlinks || false;
+  document.getElementById('verify-checksums').checked = generalSettings.verifyChecksums || false;
+  document.getElementById('atomic-uploads').checked = generalSettings.atomicUploads || false;
+  document.getElementById('keepalive-interval').value = getKeepaliveInterval(generalSettings);
+  document.getElementById('auto-reconnect').checked = generalSettings.autoReconnect !== false;
+  document.getElementById('segment-threshold').value = generalSettings.segmentThreshold === undefined ? 100 : generalSettings.segmentThreshold;
+  document.getElementById('segment-count').value = generalSettings.segmentCount || 4;
+  
+  // Load the global proxy from localStorage
+  fillProxyFields('global-proxy', JSON.parse(localStorage.getItem('proxySettings') || '{"type":"none"}'));
   
   // Load compression settings from localStorage
   const compressionSettings = JSON.parse(localStorage.getItem('compressionSettings') || '{}');
@@ -3161,10 +4024,19 @@ async function applySettings() {
   const generalSettings = {
     preserveTimestamps: document.getElementById('preserve-timestamps').checked,
     overwriteExisting: document.getElementById('overwrite-existing').checked,
-    followSymlinks: document.getElementById('follow-symlinks').checked
+    followSymlinks: document.getElementById('follow-symlinks').checked,
+    verifyChecksums: document.getElementById('verify-checksums').checked,
+    atomicUploads: document.getElementById('atomic-uploads').checked,
+    keepaliveInterval: Math.max(0, parseInt(document.getElementById('keepalive-interval').value, 10) || 0),
+    autoReconnect: document.getElementById('auto-reconnect').checked,
+    segmentThreshold: Math.max(0, parseFloat(document.getElementById('segment-threshold').value) || 0),
+    segmentCount: Math.min(8, Math.max(2, parseInt(document.getElementById('segment-count').value, 10) || 4))
   };
   localStorage.setItem('generalSettings', JSON.stringify(generalSettings));
   
+  // Save the global proxy, used by profiles set to "Use global proxy setting"
+  localStorage.setItem('proxySettings', JSON.stringify(readProxyFields('global-proxy')));
+  
   // Save compression settings
   const compressionSettings = {
     autoCompressFiles: document.getElementById('auto-compress-files').checked,
@@ -3475,4 +4347,183 @@ async function compressAndUploadFolder(folder) {
   } catch (error) {
     showError(`Compression error: ${error.message}`);
   }
+}
+
+// Custom commands are global or belong to the saved profile the connection was made with
+function getConnectionProfileName() {
+  return currentConnectionConfig && currentConnectionConfig.name ? currentConnectionConfig.name : null;
+}
+
+// Names a custom command runs on: the selected remote items if file is one of them,
+// as in file managers, otherwise file alone; none for the folder background
+function getCustomCommandTargets(file) {
+  if (!file) return [];
+  if (!file.item.classList.contains('selected')) return [file.name];
+  
+  return Array.from(document.querySelectorAll('#remote-file-list .file-item.selected'))
+    .map(item => item.dataset.name)
+    .filter(name => name !== '..');
+}
+
+// fileNames are the selected items in the current remote folder, which may be none
+async function showCustomCommandsDialog(fileNames) {
+  const dialog = document.getElementById('custom-commands-dialog');
+  dialog.dataset.fileNames = JSON.stringify(fileNames);
+  let target = '';
+  if (fileNames.length === 1) {
+    target = ` with ${fileNames[0]} selected`;
+  } else if (fileNames.length > 1) {
+    target = ` with ${fileNames.length} items selected`;
+  }
+  document.getElementById('custom-command-target').textContent = target;
+  
+  const profileName = getConnectionProfileName();
+  const profileOnly = document.getElementById('custom-command-profile-only');
+  profileOnly.checked = false;
+  profileOnly.disabled = !profileName;
+  document.getElementById('custom-command-profile-label').textContent = profileName
+    ? `Only for the profile "${profileName}"`
+    : 'Only for this profile (connect with a saved profile to use this)';
+  
+  await loadCustomCommands();
+  dialog.style.display = 'flex';
+}
+
+async function loadCustomCommands() {
+  const container = document.getElementById('custom-command-list');
+  const result = await ipcRenderer.invoke('get-custom-commands', getConnectionProfileName());
+  container.innerHTML = '';
+  
+  if (!result.success) {
+    showError(`Failed to load custom commands: ${result.error}`);
+    return;
+  }
+  if (result.commands.length === 0) {
+    container.innerHTML = '<div class="empty-bookmarks">No custom commands yet</div>';
+    return;
+  }
+  
+  result.commands.forEach(command => {
+    const item = document.createElement('div');
+    item.className = 'bookmark-item';
+    item.innerHTML = `
+      <div class="bookmark-item-info">
+        <div class="bookmark-item-name"></div>
+        <div class="bookmark-item-path"></div>
+      </div>
+      <div class="bookmark-item-actions">
+        <button class="bookmark-item-btn run" title="Run">▶</button>
+        <button class="bookmark-item-btn delete" title="Delete">🗑️</button>
+      </div>
+    `;
+    item.querySelector('.bookmark-item-name').textContent = command.profile ? `${command.name} (${command.profile})` : command.name;
+    item.querySelector('.bookmark-item-path').textContent = command.command;
+    
+    item.querySelector('.bookmark-item-info').addEventListener('click', () => runCustomCommand(command));
+    item.querySelector('.run').addEventListener('click', (e) => {
+      e.stopPropagation();
+      runCustomCommand(command);
+    });
+    item.querySelector('.delete').addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (!confirm(`Delete the command "${command.name}"?`)) return;
+      await ipcRenderer.invoke('delete-custom-command', command.id);
+      await loadCustomCommands();
+    });
+    
+    container.appendChild(item);
+  });
+}
+
+async function addCustomCommand() {
+  const nameInput = document.getElementById('custom-command-name');
+  const commandInput = document.getElementById('custom-command-text');
+  const command = commandInput.value.trim();
+  if (!command) {
+    showError('Enter a command');
+    return;
+  }
+  
+  const result = await ipcRenderer.invoke('add-custom-command', {
+    name: nameInput.value.trim(),
+    command,
+    profile: document.getElementById('custom-command-profile-only').checked ? getConnectionProfileName() : null
+  });
+  if (!result.success) {
+    showError(`Failed to save command: ${result.error}`);
+    return;
+  }
+  
+  nameInput.value = '';
+  commandInput.value = '';
+  await loadCustomCommands();
+}
+
+// Run a custom command over an SSH exec channel, show what it printed and reload
+// the listing, which the command may have changed
+async function runCustomCommand(command) {
+  const dialog = document.getElementById('custom-commands-dialog');
+  const fileNames = JSON.parse(dialog.dataset.fileNames);
+  dialog.style.display = 'none';
+  if (!currentConnection) {
+    showError('No active connection');
+    return;
+  }
+  
+  const connectionId = currentConnection;
+  const directory = document.getElementById('remote-path').value;
+  updateStatus(`Running ${command.name}...`);
+  
+  const result = await ipcRenderer.invoke('run-custom-command', connectionId, command.command, {
+    fileNames,
+    directory,
+    host: currentConnectionConfig ? currentConnectionConfig.host : ''
+  });
+  const results = result.success ? result.results : [result];
+  results.forEach(entry => appendCommandOutput(command, entry));
+  showBottomPanel('output');
+  
+  // A command with ! ran once for each selected file
+  const failed = results.filter(entry => !entry.success || entry.exitCode !== 0);
+  const broken = results.find(entry => !entry.success);
+  if (broken) {
+    showError(broken.error);
+    updateStatus('Command failed');
+  } else if (failed.length > 0 && results.length > 1) {
+    updateStatus(`${command.name} failed for ${failed.length} of ${results.length} files`);
+  } else if (failed.length > 0) {
+    updateStatus(`${command.name} exited with status ${failed[0].exitCode}`);
+  } else {
+    updateStatus(`${command.name} finished`);
+  }
+  
+  if (connectionId === currentConnection) {
+    await loadRemoteDirectory(directory);
+  }
+}
+
+function appendCommandOutput(command, result) {
+  const container = document.getElementById('command-output');
+  const entry = document.createElement('div');
+  entry.className = `command-output-entry ${result.success && result.exitCode === 0 ? 'success' : 'error'}`;
+  
+  const header = document.createElement('div');
+  header.className = 'command-output-header';
+  header.textContent = result.success
+    ? `${new Date().toLocaleTimeString()} $ ${result.command} (exit status ${result.exitCode})`
+    : `${new Date().toLocaleTimeString()} ${command.name}: ${result.error}`;
+  entry.appendChild(header);
+  
+  if (result.success) {
+    [result.stdout, result.stderr].forEach((text, index) => {
+      if (!text) return;
+      const output = document.createElement('pre');
+      output.className = index === 0 ? 'command-output-text' : 'command-output-text stderr';
+      output.textContent = text;
+      entry.appendChild(output);
+    });
+  }
+  
+  container.appendChild(entry);
+  container.scrollTop = container.scrollHeight;
 }
\ No newline at end of file
@@ -14,6 +14,7 @@ class TabManager {
       title,
       connection: null,
       connectionConfig: null,
+      capabilities: null,
       localPath: '/',
       remotePath: '/',
       localFiles: [],
@@ -22,6 +23,9 @@ class TabManager {
       selectedRemoteFile: null,
       terminal: null,
       terminalContainer: null,
+      // 'reconnecting' or 'disconnected' while a dropped connection is being brought back
+      connectionState: null,
+      connectionMessage: '',
       localSearchTerm: '',
       remoteSearchTerm: ''
     };
@@ -40,6 +44,9 @@ class TabManager {
     tabEl.className = 'tab';
     tabEl.dataset.tabId = tab.id;
     
+    const statusEl = document.createElement('span');
+    statusEl.className = 'tab-status';
+    
     const titleEl = document.createElement('span');
     titleEl.className = 'tab-title';
     titleEl.textContent = tab.title;
@@ -52,6 +59,7 @@ class TabManager {
       this.closeTab(tab.id);
     };
     
+    tabEl.appendChild(statusEl);
     tabEl.appendChild(titleEl);
     tabEl.appendChild(closeBtn);
     
@@ -121,7 +129,10 @@ class TabManager {
     document.getElementById('remote-search').value = tab.remoteSearchTerm;
     
     // Update connection status
-    if (tab.connection) {
+    if (tab.connection && tab.connectionState) {
+      document.getElementById('connection-status').textContent = tab.connectionMessage;
+      this.enableControls(true);
+    } else if (tab.connection) {
       document.getElementById('connection-status').textContent = `Connected to ${tab.connectionConfig.host}`;
       this.enableControls(true);
     } else {
@@ -161,6 +172,25 @@ class TabManager {
     }
   }
 
+  // Marks the tab while its connection is being brought back; a null state clears it
+  setConnectionState(tabId, state, message) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return;
+    
+    tab.connectionState = state;
+    tab.connectionMessage = message;
+    
+    const statusEl = document.querySelector(`[data-tab-id="${tabId}"] .tab-status`);
+    if (statusEl) {
+      statusEl.className = state ? `tab-status ${state}` : 'tab-status';
+      statusEl.title = state ? message : '';
+    }
+    
+    if (tabId === this.activeTabId) {
+      document.getElementById('connection-status').textContent = message;
+    }
+  }
+
   closeTab(tabId) {
     const tab = this.tabs.get(tabId);
     if (!tab) return;
@@ -1,6 +1,26 @@
 const { ipcRenderer } = require('electron');
 const path = require('path');
 
+// Uploads and downloads are checked against the server's checksum when this general setting is on
+function isVerificationEnabled() {
+  const generalSettings = JSON.parse(localStorage.getItem('generalSettings') || '{}');
+  return generalSettings.verifyChecksums === true;
+}
+
+// Downloads above the threshold (in MB, 0 turns this off) are fetched in this many
+// ranges at once, per the general settings
+function getSegmentOptions() {
+  const generalSettings = JSON.parse(localStorage.getItem('generalSettings') || '{}');
+  const threshold = generalSettings.segmentThreshold === undefined ? 100 : generalSettings.segmentThreshold;
+  return {
+    segments: generalSettings.segmentCount || 4,
+    segmentThreshold: threshold * 1024 * 1024
+  };
+}
+
+// How often an item is queued again after its connection dropped before it is left failed
+const MAX_INTERRUPTIONS = 3;
+
 class TransferQueue {
   constructor() {
     this.queue = [];
@@ -11,28 +31,131 @@ class TransferQueue {
   }
 
   addTransfer(transfer) {
-    const id = ++this.queueId;
-    const queueItem = {
-      id,
-      type: transfer.type, // 'upload' or 'download'
+    const queueItem = this.createQueueItem({
+      ...transfer,
+      connectionTarget: this.describeConnection(transfer.connectionId),
+      targetConnectionTarget: transfer.targetConnectionId ? this.describeConnection(transfer.targetConnectionId) : null
+    });
+    
+    this.queue.push(queueItem);
+    this.updateQueueDisplay();
+    this.processQueue();
+    
+    return queueItem.id;
+  }
+
+  createQueueItem(transfer) {
+    return {
+      id: ++this.queueId,
+      type: transfer.type, // 'upload', 'download', 'copy', 'remote-copy' or 'delete'
       localPath: transfer.localPath,
       remotePath: transfer.remotePath,
+      // A copy goes from remotePath to targetPath on the same server, a remote copy
+      // from remotePath on connectionId to targetPath on targetConnectionId
+      targetPath: transfer.targetPath || null,
+      targetConnectionId: transfer.targetConnectionId || null,
+      targetConnectionTarget: transfer.targetConnectionTarget || null,
       fileName: path.basename(transfer.type === 'upload' ? transfer.localPath : transfer.remotePath),
       size: transfer.size || 0,
       connectionId: transfer.connectionId,
+      // Host details outlive the connection id, so the item can be resumed on a new session
+      connectionTarget: transfer.connectionTarget || null,
+      // Entries a recursive delete couldn't remove, as { path, error }
+      failures: [],
+      deleteAfterUpload: !!transfer.deleteAfterUpload,
       status: 'queued',
       progress: 0,
       speed: 0,
       startTime: null,
       error: null,
-      isPaused: false
+      isPaused: false,
+      resume: false,
+      // The last run's file was complete but failed its checksum, so a retry starts over
+      checksumMismatch: false,
+      // Times the connection dropped during this item
+      interruptions: 0
     };
+  }
+
+  describeConnection(connectionId) {
+    if (!window.tabManager) return null;
     
-    this.queue.push(queueItem);
-    this.updateQueueDisplay();
-    this.processQueue();
+    for (const tab of window.tabManager.tabs.values()) {
+      if (tab.connection === connectionId && tab.connectionConfig) {
+        const { protocol, host, port, username } = tab.connectionConfig;
+        return { protocol, host, port, username };
+      }
+    }
+    return null;
+  }
+
+  // Find an open connection for the item: its own if still alive, otherwise
+  // any tab connected to the same server
+  findLiveConnection(transfer) {
+    if (!window.tabManager) return null;
+    
+    const tabs = Array.from(window.tabManager.tabs.values()).filter(tab => tab.connection && tab.connectionConfig);
+    if (tabs.some(tab => tab.connection === transfer.connectionId)) {
+      return transfer.connectionId;
+    }
+    
+    const target = transfer.connectionTarget;
+    if (!target) return null;
+    
+    const match = tabs.find(tab =>
+      tab.connectionConfig.protocol === target.protocol &&
+      tab.connectionConfig.host === target.host &&
+      tab.connectionConfig.port === target.port &&
+      tab.connectionConfig.username === target.username
+    );
+    return match ? match.connection : null;
+  }
+
+  // Unfinished items are kept in localStorage so they survive a restart
+  saveQueue() {
+    const unfinished = this.queue
+      .filter(t => ['queued', 'active', 'paused', 'error'].includes(t.status))
+      // Compressed uploads point at temp files that won't exist next time, and a
+      // delete shouldn't run again without being confirmed
+      .filter(t => t.connectionTarget && !t.deleteAfterUpload && t.type !== 'delete')
+      .map(t => ({
+        type: t.type,
+        localPath: t.localPath,
+        remotePath: t.remotePath,
+        targetPath: t.targetPath,
+        size: t.size,
+        progress: t.progress,
+        connectionTarget: t.connectionTarget,
+        targetConnectionTarget: t.targetConnectionTarget
+      }));
+    
+    try {
+      localStorage.setItem('pendingTransfers', JSON.stringify(unfinished));
+    } catch (error) {
+      console.error('Failed to save transfer queue:', error);
+    }
+  }
+
+  restoreQueue() {
+    let saved = [];
+    try {
+      saved = JSON.parse(localStorage.getItem('pendingTransfers') || '[]');
+    } catch (error) {
+      console.error('Failed to load saved transfer queue:', error);
+    }
     
-    return id;
+    saved.forEach(transfer => {
+      const queueItem = this.createQueueItem(transfer);
+      queueItem.status = 'error';
+      queueItem.error = 'Interrupted when the app was closed';
+      queueItem.progress = transfer.progress || 0;
+      this.queue.push(queueItem);
+    });
+    
+    if (saved.length > 0) {
+      this.updateQueueDisplay();
+    }
+    return saved.length;
   }
 
   async processQueue() {
@@ -78,15 +201,86 @@ class TransferQueue {
     };
     
     try {
-      if (transfer.type === 'upload') {
+      if (transfer.type === 'delete') {
+        const result = await ipcRenderer.invoke('delete-directory',
+          transfer.connectionId,
+          transfer.remotePath,
+          transfer.id
+        );
+        
+        if (result.success) {
+          this.finishDelete(transfer, result);
+        } else if (result.cancelled || transfer.status === 'cancelled') {
+          this.markCancelled(transfer);
+        } else {
+          throw this.createTransferError(result);
+        }
+      } else if (transfer.type === 'copy') {
+        const result = await ipcRenderer.invoke('copy-remote',
+          transfer.connectionId,
+          transfer.remotePath,
+          transfer.targetPath,
+          transfer.id
+        );
+        
+        if (result.success) {
+          transfer.status = 'completed';
+          transfer.progress = 100;
+          
+          if (window.activityLogger) {
+            window.activityLogger.addLog('success', `Copied ${transfer.fileName} to ${transfer.targetPath}`, {
+              file: transfer.fileName,
+              size: transfer.size,
+              duration: Date.now() - transfer.startTime,
+              path: transfer.targetPath
+            });
+          }
+        } else if (result.cancelled || transfer.status === 'cancelled') {
+          this.markCancelled(transfer);
+        } else {
+          throw this.createTransferError(result);
+        }
+      } else if (transfer.type === 'remote-copy') {
+        const result = await ipcRenderer.invoke('copy-between-connections',
+          transfer.connectionId,
+          transfer.remotePath,
+          transfer.targetConnectionId,
+          transfer.targetPath,
+          transfer.id,
+          { resume: transfer.resume }
+        );
+        
+        if (result.success) {
+          transfer.status = 'completed';
+          transfer.progress = 100;
+          
+          if (window.activityLogger) {
+            const duration = Date.now() - transfer.startTime;
+            const target = transfer.targetConnectionTarget ? transfer.targetConnectionTarget.host : 'the other server';
+            window.activityLogger.addLog('success', `Copied ${transfer.fileName} to ${target}`, {
+              file: transfer.fileName,
+              size: transfer.size,
+              duration: duration,
+              speed: transfer.speed || 0,
+              path: transfer.targetPath
+            });
+          }
+        } else if (result.cancelled || transfer.status === 'cancelled') {
+          this.markCancelled(transfer);
+        } else {
+          throw this.createTransferError(result);
+        }
+      } else if (transfer.type === 'upload') {
         const result = await ipcRenderer.invoke('upload-file-with-progress', 
           transfer.connectionId, 
           transfer.localPath, 
           transfer.remotePath,
-          transfer.id
+          transfer.id,
+          { resume: transfer.resume, verify: isVerificationEnabled() }
         );
         
         if (result.success) {
+          const checksum = this.describeVerification(result.verification);
           transfer.status = 'completed';
           transfer.progress = 100;
           
@@ -98,7 +292,9 @@ class TransferQueue {
               size: transfer.size,
               duration: duration,
               speed: transfer.speed || 0,
-              path: transfer.remotePath
+              path: transfer.remotePath,
+              ...(result.delta ? { sent: result.delta.sent, saved: result.delta.saved } : {}),
+              ...checksum
             });
           }
           
@@ -111,18 +307,22 @@ class TransferQueue {
               console.warn(`Failed to clean up temporary file: ${error.message}`);
             }
           }
+        } else if (result.cancelled || transfer.status === 'cancelled') {
+          this.markCancelled(transfer);
         } else {
-          throw new Error(result.error);
+          throw this.createTransferError(result);
         }
       } else {
         const result = await ipcRenderer.invoke('download-file-with-progress',
           transfer.connectionId,
           transfer.remotePath,
           transfer.localPath,
-          transfer.id
+          transfer.id,
+          { resume: transfer.resume, verify: isVerificationEnabled(), ...getSegmentOptions() }
         );
         
         if (result.success) {
+          const checksum = this.describeVerification(result.verification);
           transfer.status = 'completed';
           transfer.progress = 100;
           
@@ -134,16 +334,25 @@ class TransferQueue {
               size: transfer.size,
               duration: duration,
               speed: transfer.speed || 0,
-              path: transfer.localPath
+              path: transfer.localPath,
+              ...checksum
             });
           }
+        } else if (result.cancelled || transfer.status === 'cancelled') {
+          this.markCancelled(transfer);
         } else {
-          throw new Error(result.error);
+          throw this.createTransferError(result);
         }
       }
     } catch (error) {
+      if (error.interrupted && (transfer.interruptions || 0) < MAX_INTERRUPTIONS) {
+        this.requeueInterrupted(transfer);
+        return;
+      }
+      
       transfer.status = 'error';
       transfer.error = error.message;
+      transfer.checksumMismatch = Boolean(error.checksumMismatch);
       
       // Log transfer error
       if (window.activityLogger) {
@@ -151,7 +360,7 @@ class TransferQueue {
           file: transfer.fileName,
           error: error.message,
           type: transfer.type,
-          path: transfer.type === 'upload' ? transfer.remotePath : transfer.localPath
+          path: this.getDestination(transfer)
         });
       }
       
@@ -159,6 +368,100 @@ class TransferQueue {
     }
   }
 
+  // result.interrupted means the connection dropped while the item ran
+  createTransferError(result) {
+    const error = new Error(result.error);
+    error.interrupted = Boolean(result.interrupted);
+    return error;
+  }
+
+  // Queue an item its dropped connection cut short again. The main process holds it
+  // until the connection is back, and it continues from where it stopped.
+  requeueInterrupted(transfer) {
+    transfer.interruptions = (transfer.interruptions || 0) + 1;
+    transfer.status = 'queued';
+    transfer.resume = true;
+    transfer.speed = 0;
+    
+    if (window.activityLogger) {
+      window.activityLogger.addLog('info', `Connection lost during ${transfer.fileName}, resuming once reconnected`, {
+        file: transfer.fileName,
+        type: transfer.type
+      });
+    }
+  }
+
+  // Activity log details for the checksum comparison after an upload or download.
+  // A mismatch throws, which fails the transfer.
+  describeVerification(verification) {
+    if (!verification) return {};
+    if (verification.verified === null) {
+      return { checksum: 'not available on this server' };
+    }
+    if (!verification.verified) {
+      const error = new Error(`Checksum mismatch: ${verification.algorithm} is ${verification.local} here but ${verification.remote} on the server`);
+      error.checksumMismatch = true;
+      throw error;
+    }
+    return { checksum: `${verification.algorithm} verified` };
+  }
+
+  // Where the item's bytes end up
+  getDestination(transfer) {
+    if (transfer.type === 'copy' || transfer.type === 'remote-copy') return transfer.targetPath;
+    if (transfer.type === 'delete') return transfer.remotePath;
+    return transfer.type === 'upload' ? transfer.remotePath : transfer.localPath;
+  }
+
+  describeActivity(transfer) {
+    if (transfer.type === 'copy' || transfer.type === 'remote-copy') return 'Copying';
+    if (transfer.type === 'delete') return 'Deleting';
+    return transfer.type === 'upload' ? 'Uploading' : 'Downloading';
+  }
+
+  // A delete that left entries behind ends in error with the list of what failed, so
+  // the report stays in the queue and a retry picks up what is left
+  finishDelete(transfer, result) {
+    transfer.progress = 100;
+    transfer.failures = result.failed;
+    
+    if (result.failed.length === 0) {
+      transfer.status = 'completed';
+      if (window.activityLogger) {
+        window.activityLogger.addLog('success', `Deleted remote folder: ${transfer.fileName}`, {
+          file: transfer.fileName,
+          path: transfer.remotePath,
+          size: transfer.size
+        });
+      }
+      return;
+    }
+    
+    transfer.status = 'error';
+    transfer.error = `${result.failed.length} of ${result.deleted + result.failed.length} entries could not be deleted`;
+    if (window.activityLogger) {
+      result.failed.forEach(failure => {
+        window.activityLogger.addLog('error', `Failed to delete: ${failure.path}`, {
+          file: failure.path,
+          error: failure.error
+        });
+      });
+    }
+  }
+
+  markCancelled(transfer) {
+    transfer.status = 'cancelled';
+    transfer.isPaused = false;
+    
+    if (window.activityLogger) {
+      window.activityLogger.addLog('info', `Transfer cancelled: ${transfer.fileName}`, {
+        file: transfer.fileName,
+        type: transfer.type,
+        path: this.getDestination(transfer)
+      });
+    }
+  }
+
   pauseTransfer(id) {
     const transfer = this.queue.find(t => t.id === id);
     if (transfer && transfer.status === 'active') {
@@ -173,18 +476,71 @@ class TransferQueue {
     const transfer = this.queue.find(t => t.id === id);
     if (transfer && transfer.status === 'paused') {
       transfer.isPaused = false;
+      
+      // An in-flight transfer is held at its current offset in the main
+      // process, so let it continue rather than starting it again
+      if (this.activeTransfers.has(id)) {
+        transfer.status = 'active';
+        ipcRenderer.send('resume-transfer', id);
+        this.updateQueueDisplay();
+        return;
+      }
+      
       transfer.status = 'queued';
       this.updateQueueDisplay();
       this.processQueue();
     }
   }
 
+  // Retry a failed item, continuing from whatever already reached the destination
+  // unless that failed its checksum; a resumed transfer would find it complete and
+  // only compare it again
+  retryTransfer(id) {
+    const transfer = this.queue.find(t => t.id === id);
+    if (!transfer || transfer.status !== 'error') return;
+    
+    const connectionId = this.findLiveConnection(transfer);
+    if (!connectionId) {
+      const host = transfer.connectionTarget ? transfer.connectionTarget.host : 'the server';
+      transfer.error = `Connect to ${host} to resume this transfer`;
+      this.updateQueueDisplay();
+      return;
+    }
+    
+    // A remote copy needs its target server back as well
+    let targetConnectionId = null;
+    if (transfer.type === 'remote-copy') {
+      targetConnectionId = this.findLiveConnection({
+        connectionId: transfer.targetConnectionId,
+        connectionTarget: transfer.targetConnectionTarget
+      });
+      if (!targetConnectionId) {
+        const host = transfer.targetConnectionTarget ? transfer.targetConnectionTarget.host : 'the target server';
+        transfer.error = `Connect to ${host} to resume this transfer`;
+        this.updateQueueDisplay();
+        return;
+      }
+    }
+    
+    transfer.connectionId = connectionId;
+    transfer.targetConnectionId = targetConnectionId;
+    transfer.status = 'queued';
+    transfer.error = null;
+    transfer.failures = [];
+    transfer.resume = !transfer.checksumMismatch;
+    transfer.checksumMismatch = false;
+    transfer.interruptions = 0;
+    this.updateQueueDisplay();
+    this.processQueue();
+  }
+
   cancelTransfer(id) {
     const transfer = this.queue.find(t => t.id === id);
     if (transfer) {
-      if (transfer.status === 'active') {
+      if (this.activeTransfers.has(id)) {
         ipcRenderer.send('cancel-transfer', id);
       }
+      this.discardPartialUpload(transfer);
       transfer.status = 'cancelled';
       this.activeTransfers.delete(id);
       this.updateQueueDisplay();
@@ -211,12 +567,24 @@ class TransferQueue {
   }
 
   clearCompleted() {
+    this.queue.forEach(transfer => this.discardPartialUpload(transfer));
     this.queue = this.queue.filter(t => 
       t.status !== 'completed' && t.status !== 'cancelled' && t.status !== 'error'
     );
     this.updateQueueDisplay();
   }
 
+  // A failed atomic upload keeps its temporary file on the server so a retry can
+  // continue; once the item is given up, that file goes too
+  discardPartialUpload(transfer) {
+    if (transfer.type !== 'upload' || transfer.status !== 'error') return;
+    
+    const connectionId = this.findLiveConnection(transfer);
+    if (connectionId) {
+      ipcRenderer.invoke('discard-partial-upload', connectionId, transfer.remotePath);
+    }
+  }
+
   updateTransferProgress(id) {
     const queueItem = document.querySelector(`[data-transfer-id="${id}"]`);
     if (!queueItem) return;
@@ -231,9 +599,9 @@ class TransferQueue {
       progressBar.style.width = `${transfer.progress}%`;
     }
     
-    if (infoEl) {
+    if (infoEl && transfer.status === 'active') {
       const speedText = transfer.speed ? ` - ${this.formatSpeed(transfer.speed)}` : '';
-      infoEl.textContent = `${transfer.type === 'upload' ? 'Uploading' : 'Downloading'} - ${transfer.progress}%${speedText}`;
+      infoEl.textContent = `${this.describeActivity(transfer)} - ${transfer.progress}%${speedText}`;
     }
   }
 
@@ -241,6 +609,8 @@ class TransferQueue {
     const queueList = document.getElementById('queue-list');
     const queueBtn = document.getElementById('btn-show-queue');
     
+    this.saveQueue();
+    
     if (!queueList) return;
     
     // Update badge count
@@ -313,6 +683,13 @@ class TransferQueue {
       resumeBtn.title = 'Resume';
       resumeBtn.onclick = () => this.resumeTransfer(transfer.id);
       controls.appendChild(resumeBtn);
+    } else if (transfer.status === 'error') {
+      const retryBtn = document.createElement('button');
+      retryBtn.className = 'queue-item-btn';
+      retryBtn.textContent = '↻';
+      retryBtn.title = 'Resume';
+      retryBtn.onclick = () => this.retryTransfer(transfer.id);
+      controls.appendChild(retryBtn);
     }
     
     if (['active', 'queued', 'paused'].includes(transfer.status)) {
@@ -336,7 +713,7 @@ class TransferQueue {
         statusText = 'Waiting in queue';
         break;
       case 'active':
-        statusText = `${transfer.type === 'upload' ? 'Uploading' : 'Downloading'} - ${transfer.progress}%`;
+        statusText = `${this.describeActivity(transfer)} - ${transfer.progress}%`;
         break;
       case 'paused':
         statusText = `Paused - ${transfer.progress}%`;
@@ -367,9 +744,29 @@ class TransferQueue {
     item.appendChild(info);
     item.appendChild(progressContainer);
     
+    if (transfer.failures.length > 0) {
+      item.appendChild(this.createFailureReport(transfer.failures));
+    }
+    
     return item;
   }
 
+  createFailureReport(failures) {
+    const report = document.createElement('details');
+    report.className = 'queue-item-failures';
+    
+    const summary = document.createElement('summary');
+    summary.textContent = `${failures.length} failed`;
+    report.appendChild(summary);
+    
+    failures.forEach(failure => {
+      const line = document.createElement('div');
+      line.textContent = `${failure.path}: ${failure.error}`;
+      report.appendChild(line);
+    });
+    return report;
+  }
+
   formatSpeed(bytesPerSecond) {
     if (bytesPerSecond < 1024) return `${bytesPerSecond} B/s`;
     if (bytesPerSecond < 1024 * 1024) return `${(bytesPerSecond / 1024).toFixed(1)} KB/s`;